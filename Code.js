@@ -1,7 +1,7 @@
 /**
  * Interactive Video Overlay Tool - Enhanced Version
  * 
- * This application enhances YouTube videos with interactive overlays 
+ * This application enhances YouTube, Google Drive and hosted videos with interactive overlays 
  * that appear at specific timestamps during playback.
  * Added features:
  * - Branching logic based on quiz responses
@@ -18,37 +18,123 @@ const CONFIG = {
     QUIZ_ANALYTICS: 'Quiz Analytics',
     USER_DATA: 'User Data',
     SETTINGS: 'Settings',
-    USER_NOTES: 'User Notes'
+    USER_NOTES: 'User Notes',
+    TEACHERS: 'Teachers',
+    PROGRESS: 'Progress',
+    PLAYLISTS: 'Playlists',
+    GRADEBOOK: 'Gradebook',
+    SESSION_SUMMARIES: 'Session Summaries'
   },
   DEFAULTS: {
     ANIMATION_DURATION: 400,
-    CACHE_DURATION: 1800 // 30 minutes in seconds
+    CACHE_DURATION: 1800, // 30 minutes in seconds
+    EVENT_BATCH_SIZE: 50, // Most queued events accepted in one batch
+    EVENT_CLOCK_MARGIN: 3600000, // 1 hour in ms, allowed for network delay and clock changes
+    MAX_VIDEO_DURATION: 43200 // 12 hours in seconds; playback times beyond this are clamped
   },
   OVERLAY_TYPES: {
     INFO: 'info',
     QUIZ_MULTIPLE_CHOICE: 'quiz',
     QUIZ_TRUE_FALSE: 'true_false',
-    QUIZ_MATCHING: 'matching'
+    QUIZ_MATCHING: 'matching',
+    QUIZ_MULTI_SELECT: 'multi_select',
+    SHORT_ANSWER: 'short_answer',
+    OPEN_RESPONSE: 'open_response',
+    QUESTION_POOL: 'question_pool'
+  },
+  // Where a video is hosted, worked out from its URL
+  VIDEO_SOURCES: {
+    YOUTUBE: 'youtube',
+    DRIVE: 'drive',
+    HTML5: 'html5'
+  },
+  // What a student must do in a playlist part before the next one unlocks
+  PLAYLIST_REQUIREMENTS: {
+    COMPLETE: 'complete',
+    SCORE: 'score'
+  },
+  // Events only the server records; the browser's event endpoints refuse them
+  SERVER_EVENT_TYPES: ['playlist_part_passed'],
+  // Which attempt at a video the gradebook scores
+  GRADEBOOK_POLICIES: {
+    FIRST: 'first',
+    BEST: 'best',
+    LATEST: 'latest'
+  },
+  SCORING_MODES: {
+    PARTIAL: 'partial',
+    ALL_OR_NOTHING: 'all_or_nothing'
+  },
+  // What happens once a student runs out of attempts at a question
+  MAX_ATTEMPTS_FALLBACKS: {
+    SHOW_ANSWER: 'show_answer',
+    REWIND: 'rewind'
   },
   NEXT_ACTIONS: {
     CONTINUE: 'continue',
     NEXT_QUESTION: 'next_question',
     IF_CORRECT: 'if_correct',
     IF_INCORRECT: 'if_incorrect',
+    REVIEW_AND_RETRY: 'review_and_retry',
+    BRANCH: 'branch',
     END: 'end'
+  },
+  HEADERS: {
+    QUIZ_ANALYTICS: [
+      'Timestamp', 'User ID', 'Video Title', 'Overlay ID',
+      'Quiz Type', 'Was Correct', 'Selected Option',
+      'Time to Answer (sec)', 'Session ID', 'Video ID', 'Score',
+      'Response Text', 'Attempt ID', 'Manual Score', 'Reviewed By',
+      'Attempt Number'
+    ],
+    USER_DATA: [
+      'Timestamp', 'Session ID', 'User ID', 'Video Title',
+      'Event Type', 'Event Data', 'Browser', 'Device', 'Video ID',
+      'Event ID'
+    ],
+    USER_NOTES: [
+      'Timestamp', 'User ID', 'Video Title', 'Video Time (sec)',
+      'Note Content', 'Session ID', 'Video ID'
+    ],
+    TEACHERS: ['Email', 'Name'],
+    PROGRESS: [
+      'User ID', 'Video ID', 'Session ID', 'Last Position (sec)',
+      'Answered Overlays', 'Results', 'Completed', 'Updated'
+    ],
+    PLAYLISTS: ['Playlist ID', 'Playlist Title', 'Part', 'Video ID', 'To Continue'],
+    SESSION_SUMMARIES: [
+      'Last Activity', 'User ID', 'Video Title', 'Video ID', 'Session ID',
+      'First Activity', 'Questions Answered', 'Total Score', 'Completion %',
+      'Time Spent (sec)', 'Completed', 'Question Stats'
+    ]
   }
 };
 
+// Script cache keys; overlays are cached per video under OVERLAYS + Video ID
+const CACHE_KEYS = {
+  SETTINGS: 'settings',
+  OVERLAYS: 'overlays:'
+};
+
 /**
  * Serves the web application HTML page
- * @param {Object} e - Event object
+ * @param {Object} e - Event object; e.parameter.video selects the activity,
+ *   e.parameter.playlist plays it as part of a playlist
  * @returns {HtmlOutput} The HTML page
  */
 function doGet(e) {
   // Initialize analytics and settings if they don't exist
   ensureRequiredSheets();
   
-  return HtmlService.createTemplateFromFile('Index')
+  const template = HtmlService.createTemplateFromFile('Index');
+  
+  // Video ID or title requested through ?video=..., resolved by getVideo()
+  template.requestedVideo = (e && e.parameter && e.parameter.video) || '';
+  
+  // Playlist ID requested through ?playlist=..., resolved by getPlaylist()
+  template.requestedPlaylist = (e && e.parameter && e.parameter.playlist) || '';
+  
+  return template
     .evaluate()
     .setTitle('Interactive Video Overlay')
     .addMetaTag('viewport', 'width=device-width, initial-scale=1')
@@ -61,24 +147,9 @@ function doGet(e) {
 function ensureRequiredSheets() {
   const ss = SpreadsheetApp.getActive();
   
-  // Create Quiz Analytics sheet if it doesn't exist
-  if (!ss.getSheetByName(CONFIG.SHEETS.QUIZ_ANALYTICS)) {
-    const analyticsSheet = ss.insertSheet(CONFIG.SHEETS.QUIZ_ANALYTICS);
-    analyticsSheet.appendRow([
-      'Timestamp', 'User ID', 'Video Title', 'Overlay ID', 
-      'Quiz Type', 'Was Correct', 'Selected Option', 
-      'Time to Answer (sec)', 'Session ID'
-    ]);
-  }
-  
-  // Create User Data sheet if it doesn't exist
-  if (!ss.getSheetByName(CONFIG.SHEETS.USER_DATA)) {
-    const userDataSheet = ss.insertSheet(CONFIG.SHEETS.USER_DATA);
-    userDataSheet.appendRow([
-      'Timestamp', 'Session ID', 'User ID', 'Video Title',
-      'Event Type', 'Event Data', 'Browser', 'Device'
-    ]);
-  }
+  // Create analytics sheets if they don't exist
+  getOrCreateSheet(ss, CONFIG.SHEETS.QUIZ_ANALYTICS, CONFIG.HEADERS.QUIZ_ANALYTICS);
+  getOrCreateSheet(ss, CONFIG.SHEETS.USER_DATA, CONFIG.HEADERS.USER_DATA);
   
   // Create Settings sheet if it doesn't exist
   if (!ss.getSheetByName(CONFIG.SHEETS.SETTINGS)) {
@@ -94,18 +165,311 @@ function ensureRequiredSheets() {
     settingsSheet.appendRow(['SecondaryColor', '#34a853', 'Secondary theme color (hex code)']);
     settingsSheet.appendRow(['AllowSkipping', 'FALSE', 'Allow students to skip ahead in the video']);
     settingsSheet.appendRow(['RequireCorrectAnswers', 'FALSE', 'Require correct answers to continue']);
+    settingsSheet.appendRow(['DefaultScoring', 'partial', 'Scoring for matching and multi-select questions: partial or all_or_nothing']);
+    settingsSheet.appendRow(['MaxAttempts', 3, 'Tries allowed per question when RequireCorrectAnswers is on (0 for unlimited)']);
+    settingsSheet.appendRow(['RemoveWrongOptions', 'TRUE', 'Remove a wrong option before the student tries again']);
+    settingsSheet.appendRow(['AfterMaxAttempts', 'show_answer', 'After the last try: show_answer or rewind to replay the section']);
+    settingsSheet.appendRow(['GradebookPolicy', 'best', 'Which attempt at a video the gradebook scores: first, best or latest']);
+    settingsSheet.appendRow(['ArchiveAfterDays', 180, 'Every night, sessions older than this many days move to the archive spreadsheet, leaving a summary row behind (0 to keep everything)']);
   }
   
   // Create User Notes sheet if it doesn't exist
-  if (!ss.getSheetByName(CONFIG.SHEETS.USER_NOTES)) {
-    const notesSheet = ss.insertSheet(CONFIG.SHEETS.USER_NOTES);
-    notesSheet.appendRow([
-      'Timestamp', 'User ID', 'Video Title', 'Video Time (sec)',
-      'Note Content', 'Session ID'
-    ]);
+  getOrCreateSheet(ss, CONFIG.SHEETS.USER_NOTES, CONFIG.HEADERS.USER_NOTES);
+  
+  // Create Teachers sheet if it doesn't exist
+  getOrCreateSheet(ss, CONFIG.SHEETS.TEACHERS, CONFIG.HEADERS.TEACHERS);
+  
+  // Create Progress sheet if it doesn't exist
+  getOrCreateSheet(ss, CONFIG.SHEETS.PROGRESS, CONFIG.HEADERS.PROGRESS);
+  
+  // Create Playlists sheet if it doesn't exist
+  getOrCreateSheet(ss, CONFIG.SHEETS.PLAYLISTS, CONFIG.HEADERS.PLAYLISTS);
+  
+  // Keep timestamps typed into sheets set up before they were text columns
+  keepTimestampsAsText(ss);
+  
+  // Give every video a stable ID so it can be linked with ?video=<id>
+  assignMissingVideoIds(ss);
+  
+  // Give every overlay a stable ID so analytics survive row edits
+  assignMissingOverlayIds(ss);
+  migrateOverlayIdsOnce(ss);
+  
+  // Archive old analytics every night so reports stay fast
+  ensureArchiveTrigger();
+}
+
+/**
+ * Gets a sheet by name, creating it with the given header row if needed.
+ * Existing sheets get any missing trailing headers added, so columns
+ * introduced in later versions are labelled in older spreadsheets.
+ * @param {SpreadsheetApp.Spreadsheet} ss - The active spreadsheet
+ * @param {string} sheetName - Name of the sheet
+ * @param {Array<string>} headers - Header row for the sheet
+ * @returns {SpreadsheetApp.Sheet} The sheet
+ */
+function getOrCreateSheet(ss, sheetName, headers) {
+  let sheet = ss.getSheetByName(sheetName);
+  
+  if (!sheet) {
+    sheet = ss.insertSheet(sheetName);
+    sheet.appendRow(headers);
+    return sheet;
+  }
+  
+  const lastColumn = sheet.getLastColumn();
+  if (lastColumn < headers.length) {
+    sheet.getRange(1, lastColumn + 1, 1, headers.length - lastColumn)
+      .setValues([headers.slice(lastColumn)]);
+  }
+  
+  return sheet;
+}
+
+/**
+ * Formats the Overlays Timestamp column and the Videos Start Time and End
+ * Time columns as text, as setup does, so Sheets keeps 1:30 as typed
+ * instead of storing it as a time of day. Spreadsheets set up before setup
+ * did this get the format on their next page load.
+ * @param {SpreadsheetApp.Spreadsheet} ss - The active spreadsheet
+ */
+function keepTimestampsAsText(ss) {
+  const columns = [
+    { sheetName: CONFIG.SHEETS.OVERLAYS, firstCell: 'B2', range: 'B2:B' }, // Column B: Timestamp
+    { sheetName: CONFIG.SHEETS.VIDEOS, firstCell: 'F2', range: 'F2:G' }    // Columns F:G: Start Time, End Time
+  ];
+  
+  columns.forEach(column => {
+    const sheet = ss.getSheetByName(column.sheetName);
+    if (sheet && sheet.getRange(column.firstCell).getNumberFormat() !== '@') {
+      sheet.getRange(column.range).setNumberFormat('@');
+    }
+  });
+}
+
+/**
+ * Fills in the Video ID column for videos that don't have one yet, and
+ * links overlays that only name their video by title to that ID. This runs
+ * on every page load, so the IDs are written under the script lock from a
+ * fresh read; otherwise two first visits could give one video two IDs.
+ * @param {SpreadsheetApp.Spreadsheet} ss - The active spreadsheet
+ */
+function assignMissingVideoIds(ss) {
+  // Almost every page load has nothing to assign, so check before locking
+  if (!fillMissingVideoIds(ss, false)) return;
+  
+  const lock = LockService.getScriptLock();
+  lock.waitLock(10000);
+  
+  try {
+    fillMissingVideoIds(ss, true);
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Works out the missing video IDs and overlay video links
+ * @param {SpreadsheetApp.Spreadsheet} ss - The active spreadsheet
+ * @param {boolean} write - Whether to write them to the sheets
+ * @returns {boolean} Whether anything was missing
+ */
+function fillMissingVideoIds(ss, write) {
+  const videosSheet = ss.getSheetByName(CONFIG.SHEETS.VIDEOS);
+  if (!videosSheet || videosSheet.getLastRow() < 2) return false;
+  
+  // Columns A-E: Title, URL, Description, Active, Video ID
+  const videoRange = videosSheet.getRange(2, 1, videosSheet.getLastRow() - 1, 5);
+  const videoRows = videoRange.getValues();
+  const idsByTitle = {};
+  let videosChanged = false;
+  
+  videoRows.forEach(row => {
+    if (!row[0] || !row[1]) return;
+    
+    if (!row[4]) {
+      row[4] = generateVideoId();
+      videosChanged = true;
+    }
+    idsByTitle[row[0]] = row[4];
+  });
+  
+  if (videosChanged && write) {
+    videosSheet.getRange(2, 5, videoRows.length, 1)
+      .setValues(videoRows.map(row => [row[4]]));
+  }
+  
+  // Column R of the Overlays sheet holds the Video ID
+  const overlaysSheet = ss.getSheetByName(CONFIG.SHEETS.OVERLAYS);
+  if (!overlaysSheet || overlaysSheet.getLastRow() < 2) return videosChanged;
+  
+  const titles = overlaysSheet.getRange(2, 1, overlaysSheet.getLastRow() - 1, 1).getValues();
+  const idRange = overlaysSheet.getRange(2, 18, titles.length, 1);
+  const ids = idRange.getValues();
+  let overlaysChanged = false;
+  
+  for (let i = 0; i < titles.length; i++) {
+    if (!ids[i][0] && idsByTitle[titles[i][0]]) {
+      ids[i][0] = idsByTitle[titles[i][0]];
+      overlaysChanged = true;
+    }
+  }
+  
+  if (overlaysChanged && write) {
+    idRange.setValues(ids);
+    clearSheetCache(CONFIG.SHEETS.OVERLAYS);
+  }
+  
+  return videosChanged || overlaysChanged;
+}
+
+/**
+ * Generates a new, short video identifier
+ * @returns {string} Video ID
+ */
+function generateVideoId() {
+  return 'vid-' + Utilities.getUuid().substring(0, 8);
+}
+
+/**
+ * Fills in the Overlay ID column for overlays that don't have one yet, or
+ * that share an ID with another row (a copied row). Page loads and edits
+ * can run this at the same time, so the IDs are written under the script
+ * lock from a fresh read.
+ * @param {SpreadsheetApp.Spreadsheet} ss - The active spreadsheet
+ * @param {SpreadsheetApp.Range} editedRange - Range just edited, when run
+ *   from onEdit; a copied row pasted there gets the new ID, wherever it
+ *   lands, and the row it was copied from keeps its ID and analytics
+ */
+function assignMissingOverlayIds(ss, editedRange) {
+  // Almost every call has nothing to assign, so check before locking
+  if (!fillMissingOverlayIds(ss, false, editedRange)) return;
+  
+  const lock = LockService.getScriptLock();
+  lock.waitLock(10000);
+  
+  try {
+    fillMissingOverlayIds(ss, true, editedRange);
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Works out the missing or duplicate overlay IDs. Rows outside the edited
+ * range claim their IDs first, so a duplicate is always resolved in favour
+ * of the row that was there before the edit.
+ * @param {SpreadsheetApp.Spreadsheet} ss - The active spreadsheet
+ * @param {boolean} write - Whether to write them to the sheet
+ * @param {SpreadsheetApp.Range} editedRange - Range just edited, if any
+ * @returns {boolean} Whether any ID was missing or duplicated
+ */
+function fillMissingOverlayIds(ss, write, editedRange) {
+  const overlaysSheet = ss.getSheetByName(CONFIG.SHEETS.OVERLAYS);
+  if (!overlaysSheet || overlaysSheet.getLastRow() < 2) return false;
+  
+  const rowCount = overlaysSheet.getLastRow() - 1;
+  const titles = overlaysSheet.getRange(2, 3, rowCount, 1).getValues(); // Column C: Overlay Title
+  const idRange = overlaysSheet.getRange(2, 22, rowCount, 1);            // Column V: Overlay ID
+  const ids = idRange.getValues();
+  const seen = {};
+  let changed = false;
+  
+  // Data row i is sheet row i + 2
+  const isEdited = i => !!editedRange &&
+    i + 2 >= editedRange.getRow() && i + 2 <= editedRange.getLastRow();
+  const order = ids.map((id, i) => i);
+  order.sort((a, b) => (isEdited(a) ? 1 : 0) - (isEdited(b) ? 1 : 0) || a - b);
+  
+  order.forEach(i => {
+    if (!titles[i][0]) return;
+    
+    if (!ids[i][0] || seen[ids[i][0]]) {
+      ids[i][0] = generateOverlayId();
+      changed = true;
+    }
+    seen[ids[i][0]] = true;
+  });
+  
+  if (!changed || !write) return changed;
+  
+  idRange.setValues(ids);
+  clearSheetCache(CONFIG.SHEETS.OVERLAYS);
+  
+  return true;
+}
+
+/**
+ * Moves analytics logged under the old row-number overlay IDs over to the
+ * overlays' stable IDs, once per spreadsheet. This rewrites whole analytics
+ * columns, so it runs from page loads under the script lock, and
+ * never from onEdit, which has to finish within 30 seconds.
+ * @param {SpreadsheetApp.Spreadsheet} ss - The active spreadsheet
+ */
+function migrateOverlayIdsOnce(ss) {
+  const properties = PropertiesService.getDocumentProperties();
+  if (properties.getProperty('overlayIdsMigrated')) return;
+  
+  const lock = LockService.getScriptLock();
+  lock.waitLock(30000);
+  
+  try {
+    // Another page load may have migrated them while this one waited
+    if (properties.getProperty('overlayIdsMigrated')) return;
+    
+    const overlaysSheet = ss.getSheetByName(CONFIG.SHEETS.OVERLAYS);
+    if (overlaysSheet && overlaysSheet.getLastRow() > 1) {
+      const rowCount = overlaysSheet.getLastRow() - 1;
+      const titles = overlaysSheet.getRange(2, 3, rowCount, 1).getValues(); // Column C: Overlay Title
+      const ids = overlaysSheet.getRange(2, 22, rowCount, 1).getValues();   // Column V: Overlay ID
+      
+      // Old IDs were overlay-<index of the row in the sheet data>
+      const legacyIds = {};
+      ids.forEach((row, i) => {
+        if (titles[i][0]) legacyIds[`overlay-${i + 1}`] = row[0];
+      });
+      migrateLegacyOverlayIds(ss, legacyIds);
+    }
+    
+    properties.setProperty('overlayIdsMigrated', 'true');
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Rewrites row-number overlay IDs (overlay-<row>) in Quiz Analytics and in
+ * User Data event details to the overlays' stable IDs. Callers hold the
+ * script lock.
+ * @param {SpreadsheetApp.Spreadsheet} ss - The active spreadsheet
+ * @param {Object} legacyIds - New overlay IDs keyed by old row-number ID
+ */
+function migrateLegacyOverlayIds(ss, legacyIds) {
+  const analyticsSheet = ss.getSheetByName(CONFIG.SHEETS.QUIZ_ANALYTICS);
+  if (analyticsSheet && analyticsSheet.getLastRow() > 1) {
+    // Column D: Overlay ID
+    const range = analyticsSheet.getRange(2, 4, analyticsSheet.getLastRow() - 1, 1);
+    range.setValues(range.getValues().map(row => [legacyIds[row[0]] || row[0]]));
+  }
+  
+  const userDataSheet = ss.getSheetByName(CONFIG.SHEETS.USER_DATA);
+  if (userDataSheet && userDataSheet.getLastRow() > 1) {
+    // Column F: Event Data (JSON that may name overlays)
+    const range = userDataSheet.getRange(2, 6, userDataSheet.getLastRow() - 1, 1);
+    range.setValues(range.getValues().map(row => [
+      row[0].toString().replace(/"(overlay-\d+)"/g, (match, id) => legacyIds[id] ? `"${legacyIds[id]}"` : match)
+    ]));
   }
 }
 
+/**
+ * Generates a new, short overlay identifier
+ * @returns {string} Overlay ID
+ */
+function generateOverlayId() {
+  return 'ovl-' + Utilities.getUuid().substring(0, 8);
+}
+
 /**
  * Includes a file content within the main HTML file
  * @param {string} filename - Name of the file to include
@@ -116,837 +480,3706 @@ function include(filename) {
 }
 
 /**
- * Gets the default video from row 2 of the Videos tab
+ * Gets the default video (the first Active row of the Videos tab)
  * @returns {Object} Video data object or error
  */
 function getDefaultVideo() {
+  return getVideo('');
+}
+
+/**
+ * Gets the video selected by a Video ID or title
+ * @param {string} videoRef - Video ID or title; empty for the first active video
+ * @param {string} playlistId - Optional: playlist the video is played in, whose locked parts are refused
+ * @returns {Object} Video data object or error
+ */
+function getVideo(videoRef, playlistId = '') {
   try {
-    // Access the spreadsheet
-    const ss = SpreadsheetApp.getActive();
-    const videosSheet = ss.getSheetByName(CONFIG.SHEETS.VIDEOS);
+    const videos = getVideoRecords();
     
-    if (!videosSheet) {
+    if (!videos) {
       return { error: "Videos tab not found" };
     }
     
-    // Find the first active video
-    const videoData = videosSheet.getDataRange().getValues();
-    let activeVideo = null;
+    const activeVideos = videos.filter(video => video.active);
+    let video = null;
     
-    // Skip header row
-    for (let i = 1; i < videoData.length; i++) {
-      const row = videoData[i];
-      if (row[3] === true || row[3] === 'TRUE') {  // Column D: Active status
-        activeVideo = row;
-        break;
+    if (videoRef) {
+      video = findVideo(activeVideos, videoRef);
+      
+      if (!video) {
+        return { error: `No active video matches "${videoRef}". Check the Video ID or title in the link.` };
+      }
+    } else {
+      video = activeVideos[0] || null;
+      
+      if (!video) {
+        return { error: "No active video found. Please set at least one video to Active=TRUE in the Videos tab." };
       }
     }
     
-    if (!activeVideo) {
-      return { error: "No active video found. Please set at least one video to Active=TRUE in the Videos tab." };
+    // Playlist parts only open once the part before them is passed, even
+    // when the video is opened without its playlist. Teachers can open any
+    // part to preview it.
+    const isTeacher = isCurrentUserTeacher();
+    if (playlistId) {
+      const playlist = getPlaylist(playlistId);
+      if (playlist.error) return playlist;
+      
+      const part = playlist.parts.find(part => part.videoId === video.id);
+      if (!part) {
+        return { error: `"${video.title}" is not part of the playlist "${playlist.playlistTitle}".` };
+      }
+      if (!part.unlocked && !isTeacher) {
+        return { error: `Finish part ${part.partNumber - 1} of "${playlist.playlistTitle}" to unlock this part.` };
+      }
+    } else if (!isTeacher) {
+      const lock = findPlaylistLock(video.id, activeVideos);
+      if (lock) {
+        return { error: `"${video.title}" is part ${lock.part.partNumber} of "${lock.playlist.playlistTitle}". Finish part ${lock.part.partNumber - 1} to unlock it.` };
+      }
     }
     
-    const videoTitle = activeVideo[0]; // Column A: Video Title
-    const videoUrl = activeVideo[1];   // Column B: Video URL
-    
-    // Extract YouTube video ID
-    const videoId = extractYouTubeVideoId(videoUrl);
-    if (!videoId) {
-      return { error: "Invalid YouTube URL in the active video row." };
+    // Work out which player the video needs
+    const source = getVideoSource(video.url);
+    if (!source) {
+      return { error: `Unsupported video URL for "${video.title}". Use a YouTube link, a Google Drive file link, or a direct link to an MP4/WebM file.` };
     }
     
     // Get app settings
     const settings = getAppSettings();
+    const userId = getCurrentUserId();
     
     return {
-      videoId: videoId,
-      videoTitle: videoTitle,
-      settings: settings
+      videoId: video.id,
+      videoTitle: video.title,
+      source: source,
+      clipStart: video.startTime,
+      clipEnd: video.endTime,
+      description: video.description,
+      userId: userId,
+      isTeacher: isTeacher,
+      appUrl: ScriptApp.getService().getUrl(),
+      settings: settings,
+      progress: readProgress(userId, video.id)
     };
   } catch (error) {
-    Logger.log("Error in getDefaultVideo: " + error.toString());
+    Logger.log("Error in getVideo: " + error.toString());
     return { error: "Error getting video: " + error.toString() };
   }
 }
 
 /**
- * Gets application settings from the Settings sheet
- * @returns {Object} Settings object
+ * Reads all video rows from the Videos tab
+ * @returns {Array<Object>|null} Video records, or null if the tab is missing
  */
-function getAppSettings() {
-  try {
-    const ss = SpreadsheetApp.getActive();
-    const settingsSheet = ss.getSheetByName(CONFIG.SHEETS.SETTINGS);
+function getVideoRecords() {
+  const ss = SpreadsheetApp.getActive();
+  const videosSheet = ss.getSheetByName(CONFIG.SHEETS.VIDEOS);
+  
+  if (!videosSheet) {
+    return null;
+  }
+  
+  const videoData = videosSheet.getDataRange().getValues();
+  const videos = [];
+  
+  // Skip header row
+  for (let i = 1; i < videoData.length; i++) {
+    const row = videoData[i];
+    if (!row[0]) continue;
     
-    if (!settingsSheet) {
-      return getDefaultSettings();
+    // Columns F-G: Start Time and End Time clip the video (blank plays it all)
+    const startTime = parseTimestamp(row[5]) || 0;
+    let endTime = parseTimestamp(row[6]);
+    if (endTime !== null && endTime <= startTime) {
+      endTime = null;
     }
     
-    const settingsData = settingsSheet.getDataRange().getValues();
-    const settings = {};
-    
-    // Skip header row
-    for (let i = 1; i < settingsData.length; i++) {
-      const setting = settingsData[i][0];
-      const value = settingsData[i][1];
-      
-      // Convert string booleans to actual booleans
-      if (value === "TRUE" || value === "FALSE") {
-        settings[setting] = (value === "TRUE");
-      } else {
-        settings[setting] = value;
-      }
+    videos.push({
+      title: row[0],                                 // Column A: Video Title
+      url: row[1],                                   // Column B: Video URL
+      description: row[2] || "",                     // Column C: Description
+      active: row[3] === true || row[3] === 'TRUE',  // Column D: Active status
+      id: row[4] ? row[4].toString() : row[0],       // Column E: Video ID
+      startTime: startTime,
+      endTime: endTime
+    });
+  }
+  
+  return videos;
+}
+
+/**
+ * Finds a video by its Video ID, falling back to an exact title match
+ * @param {Array<Object>} videos - Video records to search
+ * @param {string} videoRef - Video ID or title
+ * @returns {Object|null} The matching video record
+ */
+function findVideo(videos, videoRef) {
+  const ref = videoRef.toString().trim();
+  
+  return videos.find(video => video.id === ref) ||
+         videos.find(video => video.title === ref) ||
+         null;
+}
+
+/**
+ * Checks whether a logged row belongs to a video. Rows written before the
+ * Video ID column existed only carry the title, so those match on title.
+ * @param {string} rowVideoId - Video ID stored in the row
+ * @param {string} rowVideoTitle - Video title stored in the row
+ * @param {Object} video - Video record to compare against
+ * @returns {boolean} True if the row belongs to the video
+ */
+function rowMatchesVideo(rowVideoId, rowVideoTitle, video) {
+  return rowVideoId ? rowVideoId === video.id : rowVideoTitle === video.title;
+}
+
+/**
+ * Looks up a video record by ID (or title, for older clients)
+ * @param {string} videoRef - Video ID or title
+ * @returns {Object} The video record; an ID-only stub if it can't be found
+ */
+function resolveVideo(videoRef) {
+  const videos = getVideoRecords() || [];
+  return findVideo(videos, videoRef || '') || { id: videoRef, title: videoRef };
+}
+
+/**
+ * Gets the identity of the signed-in user. The web app is deployed for
+ * domain access, so this is the user's email address; the anonymised
+ * temporary user key is used if the email is withheld.
+ * Identity is always resolved on the server so it can't be spoofed.
+ * @returns {string} User identifier
+ */
+function getCurrentUserId() {
+  const email = Session.getActiveUser().getEmail();
+  if (email) {
+    return email.toLowerCase();
+  }
+  
+  const userKey = Session.getTemporaryActiveUserKey();
+  return userKey ? 'user-' + userKey : 'anonymous';
+}
+
+/**
+ * Checks whether the signed-in user is a teacher. Teachers are listed by
+ * email in the Teachers sheet; the spreadsheet owner and the account the
+ * web app runs as always count as teachers.
+ * @returns {boolean} True if the user may use teacher features
+ */
+function isCurrentUserTeacher() {
+  const userId = getCurrentUserId();
+  
+  // Anonymous users can never be teachers
+  if (!userId.includes('@')) {
+    return false;
+  }
+  
+  const ss = SpreadsheetApp.getActive();
+  const owner = ss.getOwner();
+  if (owner && owner.getEmail().toLowerCase() === userId) {
+    return true;
+  }
+  
+  if (Session.getEffectiveUser().getEmail().toLowerCase() === userId) {
+    return true;
+  }
+  
+  const teachersSheet = ss.getSheetByName(CONFIG.SHEETS.TEACHERS);
+  if (!teachersSheet) {
+    return false;
+  }
+  
+  const teachersData = teachersSheet.getDataRange().getValues();
+  
+  // Skip header row
+  for (let i = 1; i < teachersData.length; i++) {
+    const email = teachersData[i][0]; // Column A: Email
+    if (email && email.toString().trim().toLowerCase() === userId) {
+      return true;
     }
-    
-    return settings;
-  } catch (error) {
-    Logger.log("Error in getAppSettings: " + error.toString());
-    return getDefaultSettings();
   }
+  
+  return false;
 }
 
 /**
- * Returns default settings if Settings sheet doesn't exist
- * @returns {Object} Default settings object
+ * Authorization check for teacher-only functions. Because any function
+ * can be called from the browser through google.script.run, every
+ * teacher-only function must call this before doing anything else.
+ * @returns {Object|null} Error object if access is denied, otherwise null
  */
-function getDefaultSettings() {
-  return {
-    TeacherModeEnabled: true,
-    AllowNotes: true,
-    ShowProgressBar: true,
-    ShowStudentReport: true,
-    PrimaryColor: '#4285f4',
-    SecondaryColor: '#34a853',
-    AllowSkipping: false,
-    RequireCorrectAnswers: false
-  };
+function checkTeacherAccess() {
+  if (isCurrentUserTeacher()) {
+    return null;
+  }
+  
+  Logger.log("Denied teacher access for " + getCurrentUserId());
+  return { error: "You are not authorized to use teacher features." };
 }
 
 /**
- * Gets all overlays for the specified video title
- * @param {string} videoTitle - The title of the video to get overlays for
- * @returns {Object} Overlays data object or error
+ * Gets the activity catalog: every active video with its overlay counts,
+ * flagging the ones the signed-in user has completed, and every playlist
+ * with how many of its parts the user has passed
+ * @returns {Object} Catalog data object or error
  */
-function getOverlaysForVideo(videoTitle) {
+function getVideoCatalog() {
   try {
     const ss = SpreadsheetApp.getActive();
-    const overlaysSheet = ss.getSheetByName(CONFIG.SHEETS.OVERLAYS);
+    const userId = getCurrentUserId();
+    const videos = getVideoRecords();
     
-    if (!overlaysSheet) {
-      return { error: "Overlays tab not found" };
+    if (!videos) {
+      return { error: "Videos tab not found" };
     }
     
-    // Get overlays data
-    const overlaysData = overlaysSheet.getDataRange().getValues();
-    const overlays = [];
-    const groups = {};
-    let overlaysByTitle = {};
+    const overlaysSheet = ss.getSheetByName(CONFIG.SHEETS.OVERLAYS);
+    const overlaysData = overlaysSheet ? overlaysSheet.getDataRange().getValues() : [];
+    const userDataSheet = ss.getSheetByName(CONFIG.SHEETS.USER_DATA);
+    const viewingData = userDataSheet ? userDataSheet.getDataRange().getValues() : [];
+    const completedVideoIds = getCompletedVideoIds(videos, userId, viewingData);
     
-    // Process overlays and build groups
-    // Skip header row
-    for (let i = 1; i < overlaysData.length; i++) {
-      const row = overlaysData[i];
-      
-      // Check if this overlay belongs to our video
-      if (row[0] && row[0] === videoTitle) {
-        const timestamp = parseInt(row[1], 10);
-        const title = row[2];
-        const content = row[3];
-        const type = row[4] ? row[4].toLowerCase() : 'info';
-        const nextAction = row[5] || "continue";
+    const catalog = videos
+      .filter(video => video.active)
+      .map(video => {
+        const videoOverlays = buildVideoOverlays(overlaysData, video).overlays;
         
-        // Skip if missing essential data
-        if (!timestamp || !title || !content) continue;
-        
-        // Parse next action logic
-        let nextActionData = parseNextAction(nextAction);
-        
-        const overlay = {
-          id: `overlay-${i}`,
-          timestamp: timestamp,
-          title: title,
-          content: content,
-          type: type,
-          nextAction: nextActionData.action,
-          actionParam: nextActionData.param,
-          options: [],
-          explanation: row[11] || "", // Column L: Explanation
-          correctFeedback: row[12] || "", // Column M: Correct feedback
-          incorrectFeedback: row[13] || "", // Column N: Incorrect feedback
-          groupName: row[10] || "" // Column K: Group name
+        return {
+          videoId: video.id,
+          videoTitle: video.title,
+          description: video.description,
+          thumbnailUrl: getVideoThumbnailUrl(video),
+          overlayCount: videoOverlays.length,
+          quizCount: videoOverlays.filter(overlay => isQuestionType(overlay.type)).length,
+          completed: completedVideoIds.has(video.id)
         };
-        
-        // If it's a quiz type, get the answer options
-        if (type.includes('quiz') || type.includes('true_false')) {
-          // Column G (index 6) is the correct answer
-          // Columns H, I, J (indices 7, 8, 9) are incorrect answers
-          const correctAnswer = row[6];
-          
-          if (correctAnswer) {
-            const correctAnswers = correctAnswer.toString().split('|');
-            
-            // Add each correct answer as a separate option
-            correctAnswers.forEach(answer => {
-              if (answer.trim() !== '') {
-                overlay.options.push({
-                  text: answer.trim(),
-                  isCorrect: true,
-                  feedback: overlay.correctFeedback || "Correct!"
-                });
-              }
-            });
-            
-            // Add incorrect answers (if they exist)
-            for (let j = 7; j <= 9; j++) {
-              if (row[j] && row[j].toString().trim() !== '') {
-                overlay.options.push({
-                  text: row[j],
-                  isCorrect: false,
-                  feedback: overlay.incorrectFeedback || "Incorrect."
-                });
-              }
-            }
-            
-            // For true_false, ensure we only have TRUE and FALSE options
-            if (type === 'true_false') {
-              let hasTrueOption = false;
-              let hasFalseOption = false;
-              
-              overlay.options.forEach(option => {
-                if (option.text.toUpperCase() === 'TRUE') hasTrueOption = true;
-                if (option.text.toUpperCase() === 'FALSE') hasFalseOption = true;
-              });
-              
-              // Add missing options if needed
-              if (!hasTrueOption) {
-                overlay.options.push({
-                  text: 'TRUE',
-                  isCorrect: false,
-                  feedback: overlay.incorrectFeedback || "Incorrect."
-                });
-              }
-              
-              if (!hasFalseOption) {
-                overlay.options.push({
-                  text: 'FALSE',
-                  isCorrect: false,
-                  feedback: overlay.incorrectFeedback || "Incorrect."
-                });
-              }
-            }
-            
-            // Shuffle the options so correct answer isn't always first
-            overlay.options = shuffleArray(overlay.options);
-          }
-        }
-        
-        // Process multimedia if any
-        if (row[14]) { // Column O: Image URL
-          overlay.image = {
-            url: row[14],
-            width: row[15] || "auto",  // Column P: Image width
-            height: row[16] || "auto"  // Column Q: Image height
-          };
-        }
-        
-        overlays.push(overlay);
-        
-        // Store by title for lookup
-        overlaysByTitle[title] = overlay;
-        
-        // Add to group if specified
-        if (overlay.groupName) {
-          if (!groups[overlay.groupName]) {
-            groups[overlay.groupName] = [];
-          }
-          groups[overlay.groupName].push(overlay.id);
-        }
-      }
-    }
+      });
     
-    // Sort overlays by timestamp
-    overlays.sort((a, b) => a.timestamp - b.timestamp);
-    
-    // Process consecutive questions
-    // We need to do this after all overlays are loaded so we can find the next questions
-    for (let i = 0; i < overlays.length; i++) {
-      const overlay = overlays[i];
+    const playlists = getPlaylistRecords().map(playlist => {
+      const firstVideo = findVideo(videos, playlist.parts[0].videoRef);
+      const passedParts = getPassedPlaylistParts(playlist.id, userId, viewingData);
       
-      if (overlay.nextAction === CONFIG.NEXT_ACTIONS.NEXT_QUESTION) {
-        // Find the next question after this one
-        let nextQuestion = null;
-        for (let j = i + 1; j < overlays.length; j++) {
-          if (overlays[j].type.includes('quiz') || overlays[j].type.includes('true_false')) {
-            nextQuestion = overlays[j];
-            break;
-          }
-        }
-        
-        if (nextQuestion) {
-          overlay.actionParam = nextQuestion.timestamp;
-        }
-      }
-    }
+      return {
+        playlistId: playlist.id,
+        playlistTitle: playlist.title,
+        thumbnailUrl: firstVideo ? getVideoThumbnailUrl(firstVideo) : '',
+        partCount: playlist.parts.length,
+        passedCount: playlist.parts.filter(part => {
+          const video = findVideo(videos, part.videoRef);
+          return video && passedParts.hasOwnProperty(video.id);
+        }).length
+      };
+    });
     
     return {
-      overlays: overlays,
-      groups: groups,
-      overlaysByTitle: overlaysByTitle
+      videos: catalog,
+      playlists: playlists,
+      userId: userId,
+      appUrl: ScriptApp.getService().getUrl(),
+      settings: getAppSettings()
     };
   } catch (error) {
-    Logger.log("Error in getOverlaysForVideo: " + error.toString());
-    return { error: "Error getting overlays: " + error.toString() };
+    Logger.log("Error in getVideoCatalog: " + error.toString());
+    return { error: "Error getting catalog: " + error.toString() };
   }
 }
 
 /**
- * Parse the next action value from the spreadsheet
- * @param {string} nextAction - The next action from the spreadsheet
- * @returns {Object} Parsed action and parameter
+ * Finds the videos a user has watched to the end
+ * @param {Array<Object>} videos - Video records, used to map legacy title-only rows
+ * @param {string} userId - User identifier
+ * @param {Array<Array>} viewingData - User Data values, including the header row
+ * @returns {Set<string>} Video IDs with a video_completed event for the user
  */
-function parseNextAction(nextAction) {
-  if (!nextAction) {
-    return { action: CONFIG.NEXT_ACTIONS.CONTINUE, param: null };
+function getCompletedVideoIds(videos, userId, viewingData) {
+  const completed = new Set();
+  
+  // Skip header row
+  for (let i = 1; i < viewingData.length; i++) {
+    const row = viewingData[i];
+    
+    if (row[2] !== userId || row[4] !== 'video_completed') continue;
+    
+    const video = videos.find(video => rowMatchesVideo(row[8], row[3], video));
+    if (video) {
+      completed.add(video.id);
+    }
   }
   
-  // Handle direct action values
-  if ([CONFIG.NEXT_ACTIONS.CONTINUE, CONFIG.NEXT_ACTIONS.NEXT_QUESTION, CONFIG.NEXT_ACTIONS.END].includes(nextAction)) {
-    return { action: nextAction, param: null };
+  return completed;
+}
+
+/**
+ * Gets a thumbnail image URL for a video
+ * @param {Object} video - Video record
+ * @returns {string} Thumbnail URL, or an empty string if none is available
+ */
+function getVideoThumbnailUrl(video) {
+  const source = getVideoSource(video.url);
+  if (!source) return '';
+  
+  if (source.type === CONFIG.VIDEO_SOURCES.YOUTUBE) {
+    return `https://img.youtube.com/vi/${source.id}/hqdefault.jpg`;
+  }
+  if (source.type === CONFIG.VIDEO_SOURCES.DRIVE) {
+    return `https://drive.google.com/thumbnail?id=${source.id}`;
+  }
+  return '';
+}
+
+/**
+ * Reads all playlists from the Playlists tab. Each row is one part of a
+ * playlist; parts are put in order by their Part number.
+ * @returns {Array<Object>} Playlists with their ordered parts
+ */
+function getPlaylistRecords() {
+  const playlistsSheet = SpreadsheetApp.getActive().getSheetByName(CONFIG.SHEETS.PLAYLISTS);
+  if (!playlistsSheet) return [];
+  
+  const playlistData = playlistsSheet.getDataRange().getValues();
+  const playlistsById = {};
+  const playlists = [];
+  
+  // Skip header row
+  for (let i = 1; i < playlistData.length; i++) {
+    const row = playlistData[i];
+    const playlistId = row[0] ? row[0].toString().trim() : '';  // Column A: Playlist ID
+    const videoRef = row[3] ? row[3].toString().trim() : '';    // Column D: Video ID or title
+    if (!playlistId || !videoRef) continue;
+    
+    if (!playlistsById[playlistId]) {
+      playlistsById[playlistId] = { id: playlistId, title: '', parts: [] };
+      playlists.push(playlistsById[playlistId]);
+    }
+    
+    const playlist = playlistsById[playlistId];
+    playlist.title = playlist.title || (row[1] ? row[1].toString() : playlistId); // Column B: Playlist Title
+    playlist.parts.push({
+      order: parseFloat(row[2]) || i,                       // Column C: Part
+      videoRef: videoRef,
+      requirement: parsePlaylistRequirement(row[4])         // Column E: To Continue
+    });
   }
   
-  // Handle if_correct:timestamp format
-  if (nextAction.startsWith(CONFIG.NEXT_ACTIONS.IF_CORRECT + ':')) {
-    const param = nextAction.split(':')[1].trim();
-    return { action: CONFIG.NEXT_ACTIONS.IF_CORRECT, param: param };
+  playlists.forEach(playlist => {
+    playlist.parts.sort((a, b) => a.order - b.order);
+  });
+  
+  return playlists;
+}
+
+/**
+ * Parses what a student must do in a playlist part before moving on
+ * @param {string|number} value - "complete" (or blank), or a minimum score percentage
+ * @returns {Object} Requirement with type and, for score requirements, minScore
+ */
+function parsePlaylistRequirement(value) {
+  const minScore = parseFloat(value ? value.toString().replace('%', '') : '');
+  
+  if (!isNaN(minScore) && minScore > 0) {
+    return { type: CONFIG.PLAYLIST_REQUIREMENTS.SCORE, minScore: Math.min(minScore, 100) };
   }
+  return { type: CONFIG.PLAYLIST_REQUIREMENTS.COMPLETE, minScore: null };
+}
+
+/**
+ * Finds the parts of a playlist the user has passed
+ * @param {string} playlistId - Playlist ID
+ * @param {string} userId - User ID
+ * @param {Array<Array>} viewingData - User Data values, including the header row
+ * @returns {Object} Latest playlist_part_passed session ID, keyed by Video ID
+ */
+function getPassedPlaylistParts(playlistId, userId, viewingData) {
+  const passed = {};
   
-  // Handle if_incorrect:timestamp format
-  if (nextAction.startsWith(CONFIG.NEXT_ACTIONS.IF_INCORRECT + ':')) {
-    const param = nextAction.split(':')[1].trim();
-    return { action: CONFIG.NEXT_ACTIONS.IF_INCORRECT, param: param };
+  // Skip header row
+  for (let i = 1; i < viewingData.length; i++) {
+    const row = viewingData[i];
+    if (row[2] !== userId || row[4] !== 'playlist_part_passed') continue;
+    
+    try {
+      const eventData = JSON.parse(row[5]); // Column F: Event Data
+      if (eventData.playlistId === playlistId) {
+        passed[row[8]] = row[1]; // Column I: Video ID, Column B: Session ID
+      }
+    } catch (error) {
+      Logger.log("Unreadable playlist_part_passed event: " + row[5]);
+    }
   }
   
-  // Default to continue if we don't recognize the format
-  return { action: CONFIG.NEXT_ACTIONS.CONTINUE, param: null };
+  return passed;
 }
 
 /**
- * Records quiz attempt data in the analytics sheet
- * @param {Object} quizData - Quiz attempt data
- * @returns {Object} Success message or error
+ * Gets a playlist with each part's video and whether the signed-in user
+ * has unlocked and passed it. A part unlocks once the part before it is passed.
+ * @param {string} playlistId - Playlist ID
+ * @returns {Object} Playlist data object or error
  */
-function recordQuizAttempt(quizData) {
+function getPlaylist(playlistId) {
   try {
-    const ss = SpreadsheetApp.getActive();
-    let analyticsSheet = ss.getSheetByName(CONFIG.SHEETS.QUIZ_ANALYTICS);
-    
-    if (!analyticsSheet) {
-      analyticsSheet = ss.insertSheet(CONFIG.SHEETS.QUIZ_ANALYTICS);
-      analyticsSheet.appendRow([
-        'Timestamp', 'User ID', 'Video Title', 'Overlay ID', 
-        'Quiz Type', 'Was Correct', 'Selected Option', 
-        'Time to Answer (sec)', 'Session ID'
-      ]);
+    const playlist = getPlaylistRecords().find(record => record.id === (playlistId || '').toString().trim());
+    if (!playlist) {
+      return { error: `No playlist matches "${playlistId}". Check the Playlist ID in the link.` };
     }
     
-    // Add new row with quiz data
-    analyticsSheet.appendRow([
-      new Date(),
-      quizData.userId || 'anonymous',
-      quizData.videoTitle || '',
-      quizData.overlayId || '',
-      quizData.quizType || 'quiz',
-      quizData.wasCorrect,
-      quizData.selectedOption || '',
-      quizData.timeToAnswer || 0,
-      quizData.sessionId || ''
-    ]);
+    const videos = (getVideoRecords() || []).filter(video => video.active);
+    const userDataSheet = SpreadsheetApp.getActive().getSheetByName(CONFIG.SHEETS.USER_DATA);
+    const viewingData = userDataSheet ? userDataSheet.getDataRange().getValues() : [];
     
-    return { success: true, message: "Quiz data recorded successfully" };
+    return buildPlaylist(playlist, videos, getPassedPlaylistParts(playlist.id, getCurrentUserId(), viewingData));
   } catch (error) {
-    Logger.log("Error in recordQuizAttempt: " + error.toString());
-    return { error: "Failed to record quiz data: " + error.toString() };
+    Logger.log("Error in getPlaylist: " + error.toString());
+    return { error: "Error getting playlist: " + error.toString() };
   }
 }
 
 /**
- * Records user viewing events for analytics
- * @param {Object} eventData - User event data
- * @returns {Object} Success message or error
+ * Works out each part of a playlist: its video, and whether it is unlocked
+ * and passed
+ * @param {Object} playlist - Playlist record from getPlaylistRecords
+ * @param {Array<Object>} videos - Active video records
+ * @param {Object} passedParts - The user's passed parts, from getPassedPlaylistParts
+ * @returns {Object} Playlist data object or error
  */
-function recordUserEvent(eventData) {
-  try {
-    const ss = SpreadsheetApp.getActive();
-    let userDataSheet = ss.getSheetByName(CONFIG.SHEETS.USER_DATA);
-    
-    if (!userDataSheet) {
-      userDataSheet = ss.insertSheet(CONFIG.SHEETS.USER_DATA);
-      userDataSheet.appendRow([
-        'Timestamp', 'Session ID', 'User ID', 'Video Title',
-        'Event Type', 'Event Data', 'Browser', 'Device'
-      ]);
+function buildPlaylist(playlist, videos, passedParts) {
+  const parts = [];
+  for (let i = 0; i < playlist.parts.length; i++) {
+    const part = playlist.parts[i];
+    const video = findVideo(videos, part.videoRef);
+    if (!video) {
+      return { error: `Part ${i + 1} of "${playlist.title}" refers to "${part.videoRef}", which is not an active video.` };
     }
     
-    // Add new row with event data
-    userDataSheet.appendRow([
-      new Date(),
-      eventData.sessionId || '',
-      eventData.userId || 'anonymous',
-      eventData.videoTitle || '',
-      eventData.eventType || '',
-      eventData.eventData || '',
-      eventData.browser || '',
-      eventData.device || ''
-    ]);
-    
-    return { success: true, message: "User event recorded successfully" };
-  } catch (error) {
-    Logger.log("Error in recordUserEvent: " + error.toString());
-    return { error: "Failed to record user event: " + error.toString() };
+    parts.push({
+      partNumber: i + 1,
+      videoId: video.id,
+      videoTitle: video.title,
+      requirement: part.requirement,
+      passed: passedParts.hasOwnProperty(video.id),
+      unlocked: i === 0 || parts[i - 1].passed
+    });
   }
+  
+  return {
+    playlistId: playlist.id,
+    playlistTitle: playlist.title,
+    parts: parts,
+    appUrl: ScriptApp.getService().getUrl()
+  };
 }
 
 /**
- * Saves a user note for a specific video timestamp
- * @param {Object} noteData - Note data
- * @returns {Object} Success message or error
+ * Finds the playlist part that keeps a video locked for the signed-in
+ * user. A video that is a later part of a playlist stays locked until the
+ * part before it is passed in at least one playlist that contains it.
+ * @param {string} videoId - Video ID
+ * @param {Array<Object>} videos - Active video records
+ * @returns {Object|null} The locked { playlist, part }, or null if the video may be opened
  */
-function saveUserNote(noteData) {
-  try {
-    const ss = SpreadsheetApp.getActive();
-    let notesSheet = ss.getSheetByName(CONFIG.SHEETS.USER_NOTES);
+function findPlaylistLock(videoId, videos) {
+  const records = [];
+  
+  for (const record of getPlaylistRecords()) {
+    const playlist = buildPlaylist(record, videos, {});
+    if (playlist.error) continue;
     
-    if (!notesSheet) {
-      notesSheet = ss.insertSheet(CONFIG.SHEETS.USER_NOTES);
-      notesSheet.appendRow([
-        'Timestamp', 'User ID', 'Video Title', 'Video Time (sec)',
-        'Note Content', 'Session ID'
-      ]);
-    }
+    const part = playlist.parts.find(part => part.videoId === videoId);
+    if (!part) continue;
     
-    // Add new row with note data
-    notesSheet.appendRow([
-      new Date(),
-      noteData.userId || 'anonymous',
-      noteData.videoTitle || '',
-      noteData.videoTime || 0,
-      noteData.noteContent || '',
-      noteData.sessionId || ''
-    ]);
+    // A first part is never locked
+    if (part.partNumber === 1) return null;
+    records.push(record);
+  }
+  
+  // User Data is only read for videos that are a later part of a playlist
+  if (records.length === 0) return null;
+  
+  const userId = getCurrentUserId();
+  const userDataSheet = SpreadsheetApp.getActive().getSheetByName(CONFIG.SHEETS.USER_DATA);
+  const viewingData = userDataSheet ? userDataSheet.getDataRange().getValues() : [];
+  let lock = null;
+  
+  for (const record of records) {
+    const playlist = buildPlaylist(record, videos, getPassedPlaylistParts(record.id, userId, viewingData));
+    const part = playlist.parts.find(part => part.videoId === videoId);
+    if (part.unlocked) return null;
     
-    return { success: true, message: "Note saved successfully" };
-  } catch (error) {
-    Logger.log("Error in saveUserNote: " + error.toString());
-    return { error: "Failed to save note: " + error.toString() };
+    lock = lock || { playlist: playlist, part: part };
   }
+  
+  return lock;
 }
 
 /**
- * Gets user notes for a specific video
- * @param {string} videoTitle - Video title
- * @param {string} userId - User identifier
- * @returns {Object} User notes or error
+ * Checks a finished playlist part against its requirement and, if it is
+ * met, records the part as passed so the next one unlocks
+ * @param {string} playlistId - Playlist ID
+ * @param {string} videoId - Video ID of the finished part
+ * @param {string} sessionId - Session the part was finished in
+ * @returns {Object} Whether the part was passed, the score and the next part
  */
-function getUserNotes(videoTitle, userId = 'anonymous') {
+function completePlaylistPart(playlistId, videoId, sessionId) {
   try {
-    const ss = SpreadsheetApp.getActive();
-    const notesSheet = ss.getSheetByName(CONFIG.SHEETS.USER_NOTES);
+    const playlist = getPlaylist(playlistId);
+    if (playlist.error) return playlist;
     
-    if (!notesSheet) {
-      return { notes: [] };
+    const index = playlist.parts.findIndex(part => part.videoId === videoId);
+    if (index === -1) {
+      return { error: "This video is not part of the playlist." };
     }
     
-    const notesData = notesSheet.getDataRange().getValues();
-    const notes = [];
+    const part = playlist.parts[index];
+    if (!part.unlocked) {
+      return { error: `Finish part ${index} of "${playlist.playlistTitle}" first.` };
+    }
     
-    // Skip header row
-    for (let i = 1; i < notesData.length; i++) {
-      const row = notesData[i];
-      
-      // Check if this note matches the video and user
-      if (row[2] === videoTitle && row[1] === userId) {
-        notes.push({
-          timestamp: row[0],
-          videoTime: row[3],
-          content: row[4]
-        });
-      }
+    // The session must be the signed-in student's and must have reached
+    // the end of the video
+    const report = getStudentReport(videoId, sessionId);
+    if (report.error) return report;
+    if (!report.viewingStatistics.completed) {
+      return { error: "Finish watching this part before moving on." };
     }
     
-    return { notes: notes };
+    // Questions the student never answered count against the score
+    const overlaysData = getOverlaysForVideo(videoId);
+    if (overlaysData.error) return overlaysData;
+    
+    const scorePercentage = getFullVideoScore(report, countVideoQuestions(overlaysData.overlays));
+    const passed = part.requirement.type !== CONFIG.PLAYLIST_REQUIREMENTS.SCORE ||
+      scorePercentage >= part.requirement.minScore;
+    
+    if (passed) {
+      writeUserEvent_({
+        sessionId: sessionId,
+        videoId: videoId,
+        videoTitle: part.videoTitle,
+        eventType: 'playlist_part_passed',
+        eventData: JSON.stringify({ playlistId: playlist.playlistId, partNumber: part.partNumber, scorePercentage: scorePercentage })
+      });
+    }
+    
+    return {
+      passed: passed,
+      scorePercentage: scorePercentage,
+      requirement: part.requirement,
+      nextPart: passed ? playlist.parts[index + 1] || null : null
+    };
   } catch (error) {
-    Logger.log("Error in getUserNotes: " + error.toString());
-    return { error: "Failed to retrieve notes: " + error.toString() };
+    Logger.log("Error in completePlaylistPart: " + error.toString());
+    return { error: "Error completing playlist part: " + error.toString() };
   }
 }
 
 /**
- * Generates student performance report
- * @param {string} videoTitle - Video title
- * @param {string} sessionId - Session identifier
- * @param {string} userId - User identifier
- * @returns {Object} Performance report data
+ * Generates the signed-in student's combined report across every part of
+ * a playlist. Each part is reported from the session in which it was
+ * passed, or the most recent saved session if it hasn't been passed yet.
+ * @param {string} playlistId - Playlist ID
+ * @returns {Object} Combined performance report with a per-part breakdown
  */
-function getStudentReport(videoTitle, sessionId, userId = 'anonymous') {
+function getPlaylistReport(playlistId) {
   try {
     const ss = SpreadsheetApp.getActive();
+    const userId = getCurrentUserId();
+    const playlist = getPlaylist(playlistId);
+    if (playlist.error) return playlist;
     
-    // Get quiz analytics data
     const analyticsSheet = ss.getSheetByName(CONFIG.SHEETS.QUIZ_ANALYTICS);
-    if (!analyticsSheet) {
-      return { 
-        error: "No quiz analytics data available",
-        summary: createDefaultReportSummary()
-      };
-    }
+    const userDataSheet = ss.getSheetByName(CONFIG.SHEETS.USER_DATA);
+    const notesSheet = ss.getSheetByName(CONFIG.SHEETS.USER_NOTES);
+    const overlaysSheet = ss.getSheetByName(CONFIG.SHEETS.OVERLAYS);
+    const analyticsData = analyticsSheet ? analyticsSheet.getDataRange().getValues() : [];
+    const viewingData = userDataSheet ? userDataSheet.getDataRange().getValues() : [];
+    const notesData = notesSheet ? notesSheet.getDataRange().getValues() : [];
+    const overlaysData = overlaysSheet ? overlaysSheet.getDataRange().getValues() : [];
+    const passedParts = getPassedPlaylistParts(playlist.playlistId, userId, viewingData);
+    const progressSessions = readProgressSessions(userId);
     
-    const analyticsData = analyticsSheet.getDataRange().getValues();
+    const combined = buildStudentReport(
+      { id: playlist.playlistId, title: playlist.playlistTitle }, userId, null, [], [], []);
+    combined.playlistId = playlist.playlistId;
+    combined.parts = [];
     
-    // Get user event data
-    const userDataSheet = ss.getSheetByName(CONFIG.SHEETS.USER_DATA);
-    let viewingData = [];
-    if (userDataSheet) {
-      viewingData = userDataSheet.getDataRange().getValues();
-    }
+    let completionTotal = 0;
     
-    // Get notes data
-    const notesSheet = ss.getSheetByName(CONFIG.SHEETS.USER_NOTES);
-    let notesData = [];
-    if (notesSheet) {
-      notesData = notesSheet.getDataRange().getValues();
+    playlist.parts.forEach(part => {
+      const video = resolveVideo(part.videoId);
+      const sessionId = passedParts[part.videoId] || progressSessions[part.videoId] || null;
+      
+      const partReport = sessionId ?
+        buildStudentReport(video, userId, sessionId, analyticsData, viewingData, notesData) : null;
+      
+      combined.parts.push({
+        partNumber: part.partNumber,
+        videoId: part.videoId,
+        videoTitle: part.videoTitle,
+        passed: part.passed,
+        unlocked: part.unlocked,
+        scorePercentage: partReport ? partReport.quizPerformance.scorePercentage : 0,
+        totalQuestions: partReport ? partReport.quizPerformance.totalQuestions : 0,
+        completionPercentage: partReport ? partReport.viewingStatistics.completionPercentage : 0
+      });
+      
+      if (!partReport) return;
+      
+      // Label each question with its part so the combined list reads clearly
+      const overlayTitles = {};
+      buildVideoOverlays(overlaysData, video).overlays.forEach(overlay => {
+        overlayTitles[overlay.id] = overlay.title;
+      });
+      
+      const quiz = combined.quizPerformance;
+      const partQuiz = partReport.quizPerformance;
+      quiz.totalQuestions += partQuiz.totalQuestions;
+      quiz.correctAnswers += partQuiz.correctAnswers;
+      quiz.incorrectAnswers += partQuiz.incorrectAnswers;
+      quiz.totalScore += partQuiz.totalScore;
+      quiz.pendingReview += partQuiz.pendingReview;
+      quiz.retryAttempts += partQuiz.retryAttempts;
+      quiz.averageTimeToAnswer += partQuiz.averageTimeToAnswer * partQuiz.totalQuestions;
+      partQuiz.quizDetails.forEach(detail => {
+        detail.title = `Part ${part.partNumber}: ${overlayTitles[detail.overlayId] || 'Question'}`;
+        quiz.quizDetails.push(detail);
+      });
+      
+      const viewing = combined.viewingStatistics;
+      const partViewing = partReport.viewingStatistics;
+      viewing.totalTimeSpent += partViewing.totalTimeSpent;
+      viewing.watchedSeconds += partViewing.watchedSeconds;
+      viewing.rewatchedSeconds += partViewing.rewatchedSeconds;
+      viewing.rewindCount += partViewing.rewindCount;
+      viewing.pauseCount += partViewing.pauseCount;
+      viewing.remediationLoops += partViewing.remediationLoops;
+      completionTotal += partViewing.completionPercentage;
+      
+      const attention = combined.attention;
+      const partAttention = partReport.attention;
+      attention.focusTime += partAttention.focusTime;
+      attention.timeOffTab += partAttention.timeOffTab;
+      attention.distractionCount += partAttention.distractionCount;
+      attention.rewinds += partAttention.rewinds;
+      attention.skips += partAttention.skips;
+      partAttention.pauseHotspots.forEach(hotspot => {
+        attention.pauseHotspots.push({ time: hotspot.time, count: hotspot.count, partNumber: part.partNumber });
+      });
+      
+      combined.questionPools = combined.questionPools.concat(partReport.questionPools);
+      combined.notesCount += partReport.notesCount;
+    });
+    
+    // Totals across parts, with completion averaged over every part
+    const quiz = combined.quizPerformance;
+    if (quiz.totalQuestions > 0) {
+      quiz.accuracyPercentage = (quiz.correctAnswers / quiz.totalQuestions) * 100;
+      quiz.scorePercentage = (quiz.totalScore / quiz.totalQuestions) * 100;
+      quiz.averageTimeToAnswer = quiz.averageTimeToAnswer / quiz.totalQuestions;
+    }
+    if (playlist.parts.length > 0) {
+      combined.viewingStatistics.completionPercentage = completionTotal / playlist.parts.length;
     }
+    combined.attention.pauseHotspots = combined.attention.pauseHotspots
+      .sort((a, b) => b.count - a.count)
+      .slice(0, 3);
     
-    // Initialize report data
-    const report = {
-      videoTitle: videoTitle,
-      userId: userId,
-      sessionId: sessionId,
-      quizPerformance: {
-        totalQuestions: 0,
-        correctAnswers: 0,
-        incorrectAnswers: 0,
-        accuracyPercentage: 0,
-        averageTimeToAnswer: 0,
-        quizDetails: []
-      },
-      viewingStatistics: {
-        startTime: null,
-        endTime: null,
-        totalTimeSpent: 0,
-        completionPercentage: 0,
-        pauseCount: 0
-      },
-      notesCount: 0,
+    combined.summary = generateReportSummary(combined);
+    
+    return combined;
+  } catch (error) {
+    Logger.log("Error in getPlaylistReport: " + error.toString());
+    return { 
+      error: "Failed to generate playlist report: " + error.toString(),
       summary: createDefaultReportSummary()
     };
-    
-    // Process quiz analytics
-    let totalTimeToAnswer = 0;
-    
-    // Skip header row
-    for (let i = 1; i < analyticsData.length; i++) {
-      const row = analyticsData[i];
-      
-      // Only include data for this session and video
-      if (row[8] === sessionId && row[2] === videoTitle) {
-        const overlayId = row[3];
-        const quizType = row[4];
-        const wasCorrect = row[5] === true || row[5] === "TRUE";
-        const selectedOption = row[6];
-        const timeToAnswer = parseFloat(row[7]) || 0;
-        
-        report.quizPerformance.totalQuestions++;
-        if (wasCorrect) {
-          report.quizPerformance.correctAnswers++;
-        } else {
-          report.quizPerformance.incorrectAnswers++;
-        }
-        
-        totalTimeToAnswer += timeToAnswer;
-        
-        // Add to quiz details
-        report.quizPerformance.quizDetails.push({
-          overlayId: overlayId,
-          quizType: quizType,
-          wasCorrect: wasCorrect,
-          selectedOption: selectedOption,
-          timeToAnswer: timeToAnswer
-        });
-      }
+  }
+}
+
+/**
+ * Gets application settings from the Settings sheet
+ * @returns {Object} Settings object
+ */
+function getAppSettings() {
+  try {
+    const cached = getCachedValue(CACHE_KEYS.SETTINGS);
+    if (cached) {
+      return cached;
     }
     
-    // Calculate quiz performance metrics
-    if (report.quizPerformance.totalQuestions > 0) {
-      report.quizPerformance.accuracyPercentage = 
-        (report.quizPerformance.correctAnswers / report.quizPerformance.totalQuestions) * 100;
-      report.quizPerformance.averageTimeToAnswer = 
-        totalTimeToAnswer / report.quizPerformance.totalQuestions;
+    const ss = SpreadsheetApp.getActive();
+    const settingsSheet = ss.getSheetByName(CONFIG.SHEETS.SETTINGS);
+    
+    if (!settingsSheet) {
+      return getDefaultSettings();
     }
     
-    // Process viewing data
-    let startEvent = null;
-    let endEvent = null;
-    let pauseCount = 0;
+    const settingsData = settingsSheet.getDataRange().getValues();
+    const settings = {};
     
     // Skip header row
-    for (let i = 1; i < viewingData.length; i++) {
-      const row = viewingData[i];
+    for (let i = 1; i < settingsData.length; i++) {
+      const setting = settingsData[i][0];
+      const value = settingsData[i][1];
       
-      // Only include data for this session and video
-      if (row[1] === sessionId && row[3] === videoTitle) {
-        const timestamp = row[0]; // Timestamp
-        const eventType = row[4]; // Event Type
-        
-        // Track start/end times
-        if (eventType === 'activity_started' && (!startEvent || timestamp < startEvent)) {
-          startEvent = timestamp;
-        }
-        if (eventType === 'video_completed' && (!endEvent || timestamp > endEvent)) {
-          endEvent = timestamp;
-        }
-        
-        // Count pauses
-        if (eventType === 'video_paused') {
-          pauseCount++;
-        }
+      // Convert string booleans to actual booleans
+      if (value === "TRUE" || value === "FALSE") {
+        settings[setting] = (value === "TRUE");
+      } else {
+        settings[setting] = value;
       }
     }
     
-    // Set viewing statistics
-    if (startEvent && endEvent) {
-      report.viewingStatistics.startTime = startEvent;
-      report.viewingStatistics.endTime = endEvent;
-      report.viewingStatistics.totalTimeSpent = 
-        (endEvent.getTime() - startEvent.getTime()) / 1000; // in seconds
-      report.viewingStatistics.completionPercentage = 100; // Assuming completed if we have end event
+    putCachedValue(CACHE_KEYS.SETTINGS, settings);
+    return settings;
+  } catch (error) {
+    Logger.log("Error in getAppSettings: " + error.toString());
+    return getDefaultSettings();
+  }
+}
+
+/**
+ * Returns default settings if Settings sheet doesn't exist
+ * @returns {Object} Default settings object
+ */
+function getDefaultSettings() {
+  return {
+    TeacherModeEnabled: true,
+    AllowNotes: true,
+    ShowProgressBar: true,
+    ShowStudentReport: true,
+    PrimaryColor: '#4285f4',
+    SecondaryColor: '#34a853',
+    AllowSkipping: false,
+    RequireCorrectAnswers: false,
+    DefaultScoring: CONFIG.SCORING_MODES.PARTIAL,
+    MaxAttempts: 3,
+    RemoveWrongOptions: true,
+    AfterMaxAttempts: CONFIG.MAX_ATTEMPTS_FALLBACKS.SHOW_ANSWER,
+    ArchiveAfterDays: 180,
+    GradebookPolicy: CONFIG.GRADEBOOK_POLICIES.BEST
+  };
+}
+
+/**
+ * Reads a value from the script cache
+ * @param {string} key - Cache key
+ * @returns {*} The cached value, or null if it isn't cached
+ */
+function getCachedValue(key) {
+  try {
+    const cached = CacheService.getScriptCache().get(key);
+    return cached ? JSON.parse(cached) : null;
+  } catch (error) {
+    Logger.log("Error reading cache: " + error.toString());
+    return null;
+  }
+}
+
+/**
+ * Stores a value in the script cache for CONFIG.DEFAULTS.CACHE_DURATION
+ * @param {string} key - Cache key
+ * @param {*} value - Value that can be converted to JSON
+ */
+function putCachedValue(key, value) {
+  try {
+    CacheService.getScriptCache().put(key, JSON.stringify(value), CONFIG.DEFAULTS.CACHE_DURATION);
+  } catch (error) {
+    // Values over the cache's size limit are read from the sheet every time
+    Logger.log("Error writing cache: " + error.toString());
+  }
+}
+
+/**
+ * Drops cached sheet data so the next request reads the sheet again
+ * @param {string} sheetName - Sheet that changed; omit to drop everything
+ */
+function clearSheetCache(sheetName) {
+  const keys = [];
+  
+  if (!sheetName || sheetName === CONFIG.SHEETS.SETTINGS) {
+    keys.push(CACHE_KEYS.SETTINGS);
+  }
+  
+  // Overlays are cached per video, and rows linked by title depend on the
+  // Videos tab too
+  if (!sheetName || sheetName === CONFIG.SHEETS.OVERLAYS || sheetName === CONFIG.SHEETS.VIDEOS) {
+    (getVideoRecords() || []).forEach(video => keys.push(CACHE_KEYS.OVERLAYS + video.id));
+  }
+  
+  if (keys.length > 0) {
+    CacheService.getScriptCache().removeAll(keys);
+  }
+}
+
+/**
+ * Gets all overlays for the specified video
+ * @param {string} videoId - The Video ID (or, for older links, title) of the video
+ * @returns {Object} Overlays data object or error
+ */
+function getOverlaysForVideo(videoId) {
+  try {
+    const video = resolveVideo(videoId);
+    const cacheKey = CACHE_KEYS.OVERLAYS + video.id;
+    let overlaysData = getCachedValue(cacheKey);
+    
+    if (!overlaysData) {
+      const ss = SpreadsheetApp.getActive();
+      const overlaysSheet = ss.getSheetByName(CONFIG.SHEETS.OVERLAYS);
+      
+      if (!overlaysSheet) {
+        return { error: "Overlays tab not found" };
+      }
+      
+      overlaysData = getVideoOverlayRows(overlaysSheet.getDataRange().getValues(), video);
+      putCachedValue(cacheKey, overlaysData);
+    }
+    
+    // Options are shuffled and pools drawn here, so only the rows are cached
+    return buildVideoOverlays(overlaysData, video);
+  } catch (error) {
+    Logger.log("Error in getOverlaysForVideo: " + error.toString());
+    return { error: "Error getting overlays: " + error.toString() };
+  }
+}
+
+/**
+ * Picks out one video's overlay rows so they can be cached. Rows keep the
+ * Overlay ID they would fall back to by row number, and timestamps Sheets
+ * turned into times of day are stored as seconds.
+ * @param {Array<Array>} overlaysData - Overlays sheet values, including the header row
+ * @param {Object} video - Video record
+ * @returns {Array<Array>} The header row followed by the video's rows
+ */
+function getVideoOverlayRows(overlaysData, video) {
+  const rows = [overlaysData[0] || []];
+  
+  for (let i = 1; i < overlaysData.length; i++) {
+    const row = overlaysData[i].slice();
+    
+    // Column A: Video Title, Column R: Video ID
+    if (!row[0] || !rowMatchesVideo(row[17], row[0], video)) continue;
+    
+    // Column V: Overlay ID
+    if (!row[21]) row[21] = `overlay-${i}`;
+    
+    // Column B: Timestamp
+    if (row[1] instanceof Date) row[1] = parseTimestamp(row[1]);
+    
+    rows.push(row);
+  }
+  
+  return rows;
+}
+
+/**
+ * Builds the overlays, groups and title lookup for one video
+ * @param {Array<Array>} overlaysData - Overlays sheet values, including the header row
+ * @param {Object} video - Video record the overlays belong to
+ * @returns {Object} Overlays data object
+ */
+function buildVideoOverlays(overlaysData, video) {
+  const overlays = [];
+  const groups = {};
+  let overlaysByTitle = {};
+  
+  // Process overlays and build groups
+  // Skip header row
+  for (let i = 1; i < overlaysData.length; i++) {
+    const row = overlaysData[i];
+    
+    // Check if this overlay belongs to our video (Column R: Video ID)
+    if (row[0] && rowMatchesVideo(row[17], row[0], video)) {
+      const timestamp = parseTimestamp(row[1]);
+      const title = row[2];
+      const content = row[3];
+      const type = row[4] ? row[4].toLowerCase() : 'info';
+      const nextAction = row[5] || "continue";
+      
+      // Skip if missing essential data
+      if (!timestamp || !title || !content) continue;
+      
+      // Skip overlays outside the video's clip; they would never be reached
+      if (!isWithinClip(timestamp, video)) continue;
+      
+      // Parse next action logic
+      let nextActionData = parseNextAction(nextAction);
+      
+      const overlay = {
+        // Column V: Overlay ID (rows not yet given one fall back to the row number)
+        id: row[21] ? row[21].toString() : `overlay-${i}`,
+        timestamp: timestamp,
+        title: title,
+        content: content,
+        type: type,
+        nextAction: nextActionData.action,
+        actionParam: nextActionData.param,
+        branches: nextActionData.routes || null,
+        options: [],
+        explanation: row[11] || "", // Column L: Explanation
+        correctFeedback: row[12] || "", // Column M: Correct feedback
+        incorrectFeedback: row[13] || "", // Column N: Incorrect feedback
+        groupName: row[10] || "", // Column K: Group name
+        scoring: parseScoringMode(row[18]), // Column S: Scoring
+        maxAttempts: parseMaxAttempts(row[19]), // Column T: Max Attempts
+        drawCount: parseInt(row[20], 10) || 0 // Column U: Draw Count
+      };
+      
+      // Matching questions pair terms with definitions
+      if (type === CONFIG.OVERLAY_TYPES.QUIZ_MATCHING) {
+        // Column G holds term=definition pairs separated by |
+        overlay.pairs = parseMatchingPairs(row[6]);
+        
+        // Columns H, I, J add distractor definitions that match no term
+        const matchOptions = overlay.pairs.map(pair => pair.match);
+        for (let j = 7; j <= 9; j++) {
+          if (row[j] && row[j].toString().trim() !== '') {
+            matchOptions.push(row[j].toString().trim());
+          }
+        }
+        
+        overlay.matchOptions = shuffleArray(matchOptions);
+      } else if (type === CONFIG.OVERLAY_TYPES.SHORT_ANSWER) {
+        // Column G lists accepted answers separated by |. Each is plain text,
+        // a /regex/flags pattern, or a number with a tolerance such as 9.8±0.1
+        overlay.acceptedAnswers = parseAcceptedAnswers(row[6]);
+      } else if (type === CONFIG.OVERLAY_TYPES.OPEN_RESPONSE) {
+        // Open responses are stored ungraded for the teacher to review
+        overlay.acceptedAnswers = [];
+      } else if (type === CONFIG.OVERLAY_TYPES.QUIZ_TRUE_FALSE) {
+        // Column G says whether the statement is TRUE or FALSE. Sheets turns
+        // those words into booleans, so FALSE arrives as the value false.
+        const answer = row[6].toString().trim().toUpperCase();
+        
+        if (answer === 'TRUE' || answer === 'FALSE') {
+          // Always exactly TRUE then FALSE, never shuffled
+          overlay.options = ['TRUE', 'FALSE'].map(text => ({
+            text: text,
+            isCorrect: text === answer,
+            feedback: text === answer ?
+              (overlay.correctFeedback || "Correct!") :
+              (overlay.incorrectFeedback || "Incorrect.")
+          }));
+        }
+      } else if (isQuestionType(type)) {
+        // If it's a quiz type, get the answer options
+        // Column G (index 6) is the correct answer
+        // Columns H, I, J (indices 7, 8, 9) are incorrect answers
+        const correctAnswer = row[6];
+        
+        if (correctAnswer) {
+          const correctAnswers = correctAnswer.toString().split('|');
+          
+          // Add each correct answer as a separate option
+          correctAnswers.forEach(answer => {
+            if (answer.trim() !== '') {
+              overlay.options.push({
+                text: answer.trim(),
+                isCorrect: true,
+                feedback: overlay.correctFeedback || "Correct!"
+              });
+            }
+          });
+          
+          // Add incorrect answers (if they exist)
+          for (let j = 7; j <= 9; j++) {
+            if (row[j] && row[j].toString().trim() !== '') {
+              overlay.options.push({
+                text: row[j],
+                isCorrect: false,
+                feedback: overlay.incorrectFeedback || "Incorrect."
+              });
+            }
+          }
+          
+          // Shuffle the options so correct answer isn't always first
+          overlay.options = shuffleArray(overlay.options);
+        }
+      }
+      
+      // Process multimedia if any
+      if (row[14]) { // Column O: Image URL
+        overlay.image = {
+          url: row[14],
+          width: row[15] || "auto",  // Column P: Image width
+          height: row[16] || "auto"  // Column Q: Image height
+        };
+      }
+      
+      overlays.push(overlay);
+      
+      // Store by title for lookup
+      overlaysByTitle[title] = overlay;
+      
+      // Add to group if specified
+      if (overlay.groupName) {
+        if (!groups[overlay.groupName]) {
+          groups[overlay.groupName] = [];
+        }
+        groups[overlay.groupName].push(overlay.id);
+      }
+    }
+  }
+  
+  // Sort overlays by timestamp
+  overlays.sort((a, b) => a.timestamp - b.timestamp);
+  
+  // Turn groups with a question_pool checkpoint into question banks. Bank
+  // questions are only served when drawn, never at their own timestamp.
+  overlays.forEach(checkpoint => {
+    if (checkpoint.type !== CONFIG.OVERLAY_TYPES.QUESTION_POOL || !checkpoint.groupName) return;
+    
+    checkpoint.poolQuestionIds = [];
+    overlays.forEach(overlay => {
+      if (overlay.groupName === checkpoint.groupName && isQuestionType(overlay.type)) {
+        overlay.poolCheckpointId = checkpoint.id;
+        checkpoint.poolQuestionIds.push(overlay.id);
+      }
+    });
+    
+    // Draw the whole bank if no Draw Count is given
+    if (checkpoint.drawCount <= 0 || checkpoint.drawCount > checkpoint.poolQuestionIds.length) {
+      checkpoint.drawCount = checkpoint.poolQuestionIds.length;
+    }
+  });
+  
+  // Process consecutive questions
+  // We need to do this after all overlays are loaded so we can find the next questions
+  for (let i = 0; i < overlays.length; i++) {
+    const overlay = overlays[i];
+    
+    if (overlay.nextAction === CONFIG.NEXT_ACTIONS.NEXT_QUESTION) {
+      // Find the next question after this one
+      let nextQuestion = null;
+      for (let j = i + 1; j < overlays.length; j++) {
+        if (isQuestionType(overlays[j].type) && !overlays[j].poolCheckpointId) {
+          nextQuestion = overlays[j];
+          break;
+        }
+      }
+      
+      if (nextQuestion) {
+        overlay.actionParam = nextQuestion.timestamp;
+      }
+    }
+    
+    // Point branch routes at the overlays or timestamps they name
+    if (overlay.nextAction === CONFIG.NEXT_ACTIONS.BRANCH) {
+      resolveBranchRoutes(overlay.branches, overlaysByTitle);
+    }
+  }
+  
+  return {
+    overlays: overlays,
+    groups: groups,
+    overlaysByTitle: overlaysByTitle
+  };
+}
+
+/**
+ * Checks whether an overlay type asks the student a question
+ * @param {string} type - Overlay interaction type
+ * @returns {boolean} True for question types
+ */
+function isQuestionType(type) {
+  return type.includes('quiz') ||
+         type.includes('true_false') ||
+         type === CONFIG.OVERLAY_TYPES.QUIZ_MATCHING ||
+         type === CONFIG.OVERLAY_TYPES.QUIZ_MULTI_SELECT ||
+         type === CONFIG.OVERLAY_TYPES.SHORT_ANSWER ||
+         type === CONFIG.OVERLAY_TYPES.OPEN_RESPONSE;
+}
+
+/**
+ * Counts the questions a full run through a video asks: every question
+ * outside a question pool, plus the number drawn from each pool
+ * @param {Array<Object>} overlays - Overlays built by buildVideoOverlays
+ * @returns {number} Number of questions
+ */
+function countVideoQuestions(overlays) {
+  return overlays.reduce((count, overlay) => {
+    if (overlay.type === CONFIG.OVERLAY_TYPES.QUESTION_POOL) {
+      return count + (overlay.poolQuestionIds ? overlay.drawCount : 0);
+    }
+    return count + (isQuestionType(overlay.type) && !overlay.poolCheckpointId ? 1 : 0);
+  }, 0);
+}
+
+/**
+ * Scores a session against every question in the video rather than only
+ * the ones answered. Open responses waiting for a teacher are left out
+ * until they are scored.
+ * @param {Object} report - Student report for the session
+ * @param {number} questionCount - Questions in the video, from countVideoQuestions
+ * @returns {number} Score percentage; 100 for a video with no questions
+ */
+function getFullVideoScore(report, questionCount) {
+  const quiz = report.quizPerformance;
+  const possible = Math.max(questionCount - quiz.pendingReview, quiz.totalQuestions);
+  return possible > 0 ? (quiz.totalScore / possible) * 100 : 100;
+}
+
+/**
+ * Parses the Scoring column of an overlay
+ * @param {string} value - Scoring cell value
+ * @returns {string} A CONFIG.SCORING_MODES value, or '' to use the DefaultScoring setting
+ */
+function parseScoringMode(value) {
+  const mode = value ? value.toString().trim().toLowerCase() : '';
+  return Object.values(CONFIG.SCORING_MODES).includes(mode) ? mode : '';
+}
+
+/**
+ * Parses the Max Attempts column of an overlay
+ * @param {*} value - Max Attempts cell value
+ * @returns {number|null} Tries allowed (0 for unlimited), or null to use the MaxAttempts setting
+ */
+function parseMaxAttempts(value) {
+  const attempts = parseInt(value, 10);
+  return isNaN(attempts) || attempts < 0 ? null : attempts;
+}
+
+/**
+ * Parses short answer accepted answers separated by |. A | inside a
+ * /pattern/flags answer belongs to the pattern, so alternation such as
+ * /^(colou?r|color)$/i stays one answer.
+ * @param {string} value - Correct Answer cell value
+ * @returns {Array<string>} Accepted answers
+ */
+function parseAcceptedAnswers(value) {
+  const text = value.toString();
+  const answers = [];
+  let current = '';
+  let inPattern = false;
+  let inClass = false;
+  
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    
+    if (inPattern) {
+      current += char;
+      if (char === '\\' && i + 1 < text.length) {
+        current += text[++i];
+      } else if (char === '[') {
+        inClass = true;
+      } else if (char === ']') {
+        inClass = false;
+      } else if (char === '/' && !inClass) {
+        inPattern = false;
+      }
+    } else if (char === '|') {
+      answers.push(current);
+      current = '';
+    } else {
+      // A / that starts an answer opens a pattern
+      if (char === '/' && current.trim() === '') {
+        inPattern = true;
+      }
+      current += char;
+    }
+  }
+  
+  // A pattern that is never closed was plain text after all
+  answers.push(...(inPattern ? current.split('|') : [current]));
+  
+  return answers
+    .map(answer => answer.trim())
+    .filter(answer => answer !== '');
+}
+
+/**
+ * Parses matching pairs written as term=definition, separated by |
+ * @param {string} value - Correct Answer cell value
+ * @returns {Array<Object>} Pairs as { term, match } objects
+ */
+function parseMatchingPairs(value) {
+  if (!value) return [];
+  
+  const pairs = [];
+  value.toString().split('|').forEach(entry => {
+    const separator = entry.indexOf('=');
+    if (separator === -1) return;
+    
+    const term = entry.substring(0, separator).trim();
+    const match = entry.substring(separator + 1).trim();
+    if (term && match) {
+      pairs.push({ term: term, match: match });
+    }
+  });
+  
+  return pairs;
+}
+
+/**
+ * Parses a timestamp written as seconds (fractions allowed), mm:ss or
+ * hh:mm:ss. A cell Sheets has already turned into a time of day was typed
+ * before the column was text: with no seconds it was mm:ss (Sheets stores
+ * 1:30 as 01:30:00), otherwise hh:mm:ss.
+ * @param {*} value - Timestamp cell value or text
+ * @returns {number|null} Seconds, or null if the value isn't a timestamp
+ */
+function parseTimestamp(value) {
+  if (value instanceof Date) {
+    if (value.getSeconds() === 0 && value.getMilliseconds() === 0) {
+      return value.getHours() * 60 + value.getMinutes();
+    }
+    return value.getHours() * 3600 + value.getMinutes() * 60 +
+           value.getSeconds() + value.getMilliseconds() / 1000;
+  }
+  
+  if (typeof value === 'number') {
+    return value >= 0 ? value : null;
+  }
+  
+  const text = (value || '').toString().trim();
+  if (!/^\d+(:\d{1,2}){0,2}(\.\d+)?$/.test(text)) {
+    return null;
+  }
+  
+  return text.split(':').reduce((total, part) => total * 60 + parseFloat(part), 0);
+}
+
+/**
+ * Parse the next action value from the spreadsheet
+ * @param {string} nextAction - The next action from the spreadsheet
+ * @returns {Object} Parsed action and parameter
+ */
+function parseNextAction(nextAction) {
+  if (!nextAction) {
+    return { action: CONFIG.NEXT_ACTIONS.CONTINUE, param: null };
+  }
+  
+  // Handle branch routes (outcome -> target; ...)
+  if (nextAction.includes('->')) {
+    return { action: CONFIG.NEXT_ACTIONS.BRANCH, param: null, routes: parseBranchRoutes(nextAction) };
+  }
+  
+  // Handle direct action values
+  if ([CONFIG.NEXT_ACTIONS.CONTINUE, CONFIG.NEXT_ACTIONS.NEXT_QUESTION, CONFIG.NEXT_ACTIONS.END].includes(nextAction)) {
+    return { action: nextAction, param: null };
+  }
+  
+  // Handle action:timestamp formats, e.g. if_correct:45 or review_and_retry:1:30
+  const timedActions = [
+    CONFIG.NEXT_ACTIONS.IF_CORRECT,
+    CONFIG.NEXT_ACTIONS.IF_INCORRECT,
+    CONFIG.NEXT_ACTIONS.REVIEW_AND_RETRY
+  ];
+  for (const action of timedActions) {
+    if (nextAction.startsWith(action + ':')) {
+      return { action: action, param: parseTimestamp(nextAction.substring(action.length + 1)) };
+    }
+  }
+  
+  // Default to continue if we don't recognize the format
+  return { action: CONFIG.NEXT_ACTIONS.CONTINUE, param: null };
+}
+
+/**
+ * Parses branch routes written as outcome -> target pairs separated by ;
+ * Outcomes are correct, incorrect, otherwise, or an answer option in
+ * quotes. Targets are an overlay title, a timestamp, continue or end.
+ * e.g. correct -> Deep Dive; incorrect -> 45; "Mitochondria" -> Cell Energy
+ * @param {string} value - Next Action cell value
+ * @returns {Object} Routes by outcome, answer routes keyed by lowercase option text
+ */
+function parseBranchRoutes(value) {
+  const routes = { correct: null, incorrect: null, otherwise: null, answers: {}, unknownOutcomes: [] };
+  
+  value.toString().split(';').forEach(rule => {
+    const arrow = rule.indexOf('->');
+    if (arrow === -1) return;
+    
+    const outcome = rule.substring(0, arrow).trim();
+    const target = { ref: rule.substring(arrow + 2).trim() };
+    if (!outcome || !target.ref) return;
+    
+    const quoted = outcome.match(/^"(.*)"$/);
+    const key = outcome.toLowerCase();
+    
+    if (quoted) {
+      routes.answers[quoted[1].trim().toLowerCase()] = target;
+    } else if (key === 'correct' || key === 'incorrect' || key === 'otherwise') {
+      routes[key] = target;
+    } else {
+      routes.unknownOutcomes.push(outcome);
+    }
+  });
+  
+  return routes;
+}
+
+/**
+ * Resolves every target in a set of branch routes, in place
+ * @param {Object} routes - Routes from parseBranchRoutes
+ * @param {Object} overlaysByTitle - Overlays of the video keyed by title
+ */
+function resolveBranchRoutes(routes, overlaysByTitle) {
+  ['correct', 'incorrect', 'otherwise'].forEach(key => {
+    if (routes[key]) {
+      Object.assign(routes[key], resolveBranchTarget(routes[key].ref, overlaysByTitle));
+    }
+  });
+  
+  Object.keys(routes.answers).forEach(answer => {
+    Object.assign(routes.answers[answer], resolveBranchTarget(routes.answers[answer].ref, overlaysByTitle));
+  });
+}
+
+/**
+ * Works out what a branch target refers to. Overlay titles win over
+ * timestamps, so an overlay titled "45" can still be targeted.
+ * @param {string} ref - Target as written in the sheet
+ * @param {Object} overlaysByTitle - Overlays of the video keyed by title
+ * @returns {Object} Target with a type of overlay, time, continue, end or missing
+ */
+function resolveBranchTarget(ref, overlaysByTitle) {
+  const keyword = ref.toLowerCase();
+  if (keyword === CONFIG.NEXT_ACTIONS.CONTINUE || keyword === CONFIG.NEXT_ACTIONS.END) {
+    return { type: keyword };
+  }
+  
+  const overlay = overlaysByTitle[ref] ||
+    Object.values(overlaysByTitle).find(candidate => candidate.title.toString().toLowerCase() === keyword);
+  if (overlay) {
+    return { type: 'overlay', overlayId: overlay.id, timestamp: overlay.timestamp };
+  }
+  
+  const seconds = parseTimestamp(ref);
+  if (seconds !== null) {
+    return { type: 'time', timestamp: seconds };
+  }
+  
+  return { type: 'missing' };
+}
+
+/**
+ * Checks the branch routes of one video's overlays for targets that don't
+ * exist, answer routes that match no option, and loops with no way out
+ * @param {Array<Object>} overlays - Overlays built by buildVideoOverlays
+ * @returns {Array<string>} Problems found, empty if the branching is sound
+ */
+function findBranchingProblems(overlays) {
+  const problems = [];
+  const overlaysById = {};
+  overlays.forEach(overlay => { overlaysById[overlay.id] = overlay; });
+  
+  // Overlay-to-overlay jumps show the target again even if it was already
+  // seen, so only those can loop; any other route lets the video move on
+  const jumps = {};
+  const canExit = {};
+  
+  overlays.forEach(overlay => {
+    jumps[overlay.id] = [];
+    canExit[overlay.id] = overlay.nextAction !== CONFIG.NEXT_ACTIONS.BRANCH;
+    if (overlay.nextAction !== CONFIG.NEXT_ACTIONS.BRANCH) return;
+    
+    const routes = overlay.branches;
+    const label = `"${overlay.title}"`;
+    const targets = [];
+    
+    routes.unknownOutcomes.forEach(outcome => {
+      problems.push(`${label}: unknown outcome "${outcome}" (use correct, incorrect, otherwise or a quoted answer)`);
+    });
+    
+    ['correct', 'incorrect', 'otherwise'].forEach(key => {
+      if (routes[key]) targets.push({ outcome: key, target: routes[key] });
+    });
+    
+    const optionTexts = (overlay.options || []).map(option => option.text.toString().toLowerCase());
+    Object.keys(routes.answers).forEach(answer => {
+      if (!optionTexts.includes(answer)) {
+        problems.push(`${label}: route for answer "${answer}" doesn't match any of its options`);
+      }
+      targets.push({ outcome: `"${answer}"`, target: routes.answers[answer] });
+    });
+    
+    // Outcomes without a route fall through to continue
+    const coversAll = routes.otherwise ||
+      (isQuestionType(overlay.type) && routes.correct && routes.incorrect);
+    if (!coversAll) {
+      canExit[overlay.id] = true;
+    }
+    
+    targets.forEach(entry => {
+      if (entry.target.type === 'missing') {
+        problems.push(`${label}: ${entry.outcome} goes to "${entry.target.ref}", which is not an overlay title or timestamp`);
+        canExit[overlay.id] = true;
+      } else if (entry.target.type === 'overlay') {
+        jumps[overlay.id].push(entry.target.overlayId);
+      } else {
+        canExit[overlay.id] = true;
+      }
+    });
+  });
+  
+  // Spread "can exit" backwards along jumps until nothing changes
+  let changed = true;
+  while (changed) {
+    changed = false;
+    overlays.forEach(overlay => {
+      if (!canExit[overlay.id] && jumps[overlay.id].some(targetId => canExit[targetId])) {
+        canExit[overlay.id] = true;
+        changed = true;
+      }
+    });
+  }
+  
+  overlays.forEach(overlay => {
+    if (!canExit[overlay.id]) {
+      const loop = jumps[overlay.id].map(targetId => `"${overlaysById[targetId].title}"`).join(', ');
+      problems.push(`"${overlay.title}": every route jumps back into a loop (${loop}) with no way to continue`);
+    }
+  });
+  
+  return problems;
+}
+
+/**
+ * Validates the branch routes of every video, or of one video
+ * @param {string} videoId - Optional: only check this video
+ * @returns {Object} Problems found per video, or error
+ */
+function validateBranching(videoId = null) {
+  try {
+    const denied = checkTeacherAccess();
+    if (denied) return denied;
+    
+    const ss = SpreadsheetApp.getActive();
+    const overlaysSheet = ss.getSheetByName(CONFIG.SHEETS.OVERLAYS);
+    const videos = getVideoRecords();
+    
+    if (!overlaysSheet || !videos) {
+      return { error: "Videos or Overlays tab not found" };
+    }
+    
+    const overlaysData = overlaysSheet.getDataRange().getValues();
+    const results = [];
+    
+    videos.forEach(video => {
+      if (videoId && video.id !== videoId) return;
+      
+      const problems = findBranchingProblems(buildVideoOverlays(overlaysData, video).overlays);
+      if (problems.length > 0) {
+        results.push({ videoId: video.id, videoTitle: video.title, problems: problems });
+      }
+    });
+    
+    return { valid: results.length === 0, videos: results };
+  } catch (error) {
+    Logger.log("Error in validateBranching: " + error.toString());
+    return { error: "Failed to validate branching: " + error.toString() };
+  }
+}
+
+/**
+ * Records quiz attempt data in the analytics sheet
+ * @param {Object} quizData - Quiz attempt data
+ * @returns {Object} Success message or error
+ */
+function recordQuizAttempt(quizData) {
+  try {
+    const ss = SpreadsheetApp.getActive();
+    const analyticsSheet = getOrCreateSheet(ss, CONFIG.SHEETS.QUIZ_ANALYTICS, CONFIG.HEADERS.QUIZ_ANALYTICS);
+    const row = buildQuizAttemptRow(quizData, getCurrentUserId());
+    
+    const lock = LockService.getScriptLock();
+    lock.waitLock(10000);
+    try {
+      appendRows(analyticsSheet, [row]);
+    } finally {
+      lock.releaseLock();
+    }
+    
+    return { success: true, message: "Quiz data recorded successfully" };
+  } catch (error) {
+    Logger.log("Error in recordQuizAttempt: " + error.toString());
+    return { error: "Failed to record quiz data: " + error.toString() };
+  }
+}
+
+/**
+ * Records user viewing events for analytics. Events the server records
+ * itself, such as a passed playlist part, are refused.
+ * @param {Object} eventData - User event data
+ * @returns {Object} Success message or error
+ */
+function recordUserEvent(eventData) {
+  if (eventData && CONFIG.SERVER_EVENT_TYPES.includes(eventData.eventType)) {
+    return { error: eventData.eventType + " events are recorded by the server" };
+  }
+  
+  return writeUserEvent_(eventData);
+}
+
+/**
+ * Writes a User Data row for the signed-in user. The trailing underscore
+ * keeps google.script.run from calling it, so server-only events such as
+ * playlist_part_passed can only come from server code.
+ * @param {Object} eventData - User event data
+ * @returns {Object} Success message or error
+ */
+function writeUserEvent_(eventData) {
+  try {
+    const ss = SpreadsheetApp.getActive();
+    const userDataSheet = getOrCreateSheet(ss, CONFIG.SHEETS.USER_DATA, CONFIG.HEADERS.USER_DATA);
+    const row = buildUserEventRow(eventData, getCurrentUserId());
+    
+    const lock = LockService.getScriptLock();
+    lock.waitLock(10000);
+    try {
+      appendRows(userDataSheet, [row]);
+    } finally {
+      lock.releaseLock();
+    }
+    
+    return { success: true, message: "User event recorded successfully" };
+  } catch (error) {
+    Logger.log("Error in writeUserEvent_: " + error.toString());
+    return { error: "Failed to record user event: " + error.toString() };
+  }
+}
+
+/**
+ * Records a batch of events and quiz attempts from a student's event queue.
+ * Each item carries an idempotency key that is stored with its row, and
+ * items whose key is already in the sheet are skipped, so a batch that is
+ * retried after a lost response is only written once. Events only the
+ * server records are acknowledged but not written.
+ * @param {Array<Object>} items - Queued items: { key, kind ('event' or 'quiz'),
+ *   queuedAt (ms), data }
+ * @param {number} sentAt - Student's clock when the batch was sent (ms)
+ * @returns {Object} Keys of the items now stored, or error
+ */
+function recordEventBatch(items, sentAt) {
+  try {
+    if (!Array.isArray(items) || items.length === 0) {
+      return { success: true, stored: [] };
+    }
+    if (items.length > CONFIG.DEFAULTS.EVENT_BATCH_SIZE) {
+      return { error: "Too many events in one batch" };
+    }
+    
+    const ss = SpreadsheetApp.getActive();
+    const userDataSheet = getOrCreateSheet(ss, CONFIG.SHEETS.USER_DATA, CONFIG.HEADERS.USER_DATA);
+    const analyticsSheet = getOrCreateSheet(ss, CONFIG.SHEETS.QUIZ_ANALYTICS, CONFIG.HEADERS.QUIZ_ANALYTICS);
+    const userId = getCurrentUserId();
+    
+    // An item can't have been written before it was queued, so only rows
+    // since the oldest one need checking for its key. Queue times come from
+    // the student's clock, so they are moved onto the server's clock by how
+    // far the two differed when the batch was sent; a clock running ahead
+    // would otherwise skip rows that hold the keys.
+    const now = Date.now();
+    const queuedTimes = items.map(item => Number(item && item.queuedAt)).filter(time => time > 0);
+    const clockOffset = now - Number(sentAt);
+    const since = queuedTimes.length === items.length && Number(sentAt) > 0 ?
+      Math.min(now, Math.min.apply(null, queuedTimes) + clockOffset) - CONFIG.DEFAULTS.EVENT_CLOCK_MARGIN : 0;
+    
+    const lock = LockService.getScriptLock();
+    lock.waitLock(10000);
+    try {
+      // Column J: Event ID; Column M: Attempt ID
+      const eventKeys = getRecentEventKeys(userDataSheet, 10, since);
+      const attemptKeys = getRecentEventKeys(analyticsSheet, 13, since);
+      const eventRows = [];
+      const quizRows = [];
+      const stored = [];
+      
+      items.forEach(item => {
+        if (!item || !item.key) return;
+        const key = String(item.key);
+        
+        // Items that can't be written are acknowledged anyway, since
+        // sending them again won't help
+        if (item.data && typeof item.data === 'object') {
+          if (item.kind === 'quiz') {
+            if (!attemptKeys.has(key)) {
+              quizRows.push(buildQuizAttemptRow(Object.assign({}, item.data, { attemptId: key }), userId));
+              attemptKeys.add(key);
+            }
+          } else if (CONFIG.SERVER_EVENT_TYPES.includes(item.data.eventType)) {
+            Logger.log("Refused queued " + item.data.eventType + " event from " + userId);
+          } else if (!eventKeys.has(key)) {
+            eventRows.push(buildUserEventRow(Object.assign({}, item.data, { eventId: key }), userId));
+            eventKeys.add(key);
+          }
+        }
+        
+        stored.push(key);
+      });
+      
+      appendRows(userDataSheet, eventRows);
+      appendRows(analyticsSheet, quizRows);
+      
+      return { success: true, stored: stored };
+    } finally {
+      lock.releaseLock();
+    }
+  } catch (error) {
+    Logger.log("Error in recordEventBatch: " + error.toString());
+    return { error: "Failed to record events: " + error.toString() };
+  }
+}
+
+/**
+ * Builds a Quiz Analytics row for a quiz attempt
+ * @param {Object} quizData - Quiz attempt data
+ * @param {string} userId - User ID
+ * @returns {Array} Row values
+ */
+function buildQuizAttemptRow(quizData, userId) {
+  // Ungraded answers (open responses) leave Was Correct and Score blank
+  // until a teacher scores them
+  const isGraded = quizData.graded !== false;
+  
+  // Partial credit comes from the browser, so only a fraction from 0 to 1
+  // is kept; anything else scores the answer as right or wrong
+  const score = typeof quizData.score === 'number' && isFinite(quizData.score)
+    ? Math.min(Math.max(quizData.score, 0), 1)
+    : (quizData.wasCorrect ? 1 : 0);
+  
+  return [
+    new Date(),
+    userId,
+    quizData.videoTitle || '',
+    quizData.overlayId || '',
+    quizData.quizType || 'quiz',
+    isGraded ? quizData.wasCorrect : '',
+    quizData.selectedOption || '',
+    quizData.timeToAnswer || 0,
+    quizData.sessionId || '',
+    quizData.videoId || '',
+    // Fraction of the question answered correctly (partial credit)
+    isGraded ? score : '',
+    quizData.responseText || '',
+    quizData.attemptId || Utilities.getUuid(),
+    '',
+    '',
+    quizData.attemptNumber || 1
+  ];
+}
+
+/**
+ * Builds a User Data row for a viewing event
+ * @param {Object} eventData - User event data
+ * @param {string} userId - User ID
+ * @returns {Array} Row values
+ */
+function buildUserEventRow(eventData, userId) {
+  return [
+    new Date(),
+    eventData.sessionId || '',
+    userId,
+    eventData.videoTitle || '',
+    eventData.eventType || '',
+    eventData.eventData || '',
+    eventData.browser || '',
+    eventData.device || '',
+    eventData.videoId || '',
+    eventData.eventId || Utilities.getUuid()
+  ];
+}
+
+/**
+ * Writes rows after the last row of a sheet in a single call. Callers hold
+ * the script lock so concurrent writers can't claim the same rows.
+ * @param {Sheet} sheet - Sheet to write to
+ * @param {Array<Array>} rows - Rows of equal length
+ */
+function appendRows(sheet, rows) {
+  if (rows.length === 0) return;
+  sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, rows[0].length).setValues(rows);
+}
+
+/**
+ * Collects the idempotency keys already written to a sheet, reading back
+ * from the newest row until rows are older than a given time
+ * @param {Sheet} sheet - Sheet whose first column is the row timestamp
+ * @param {number} keyColumn - Column number holding the key
+ * @param {number} since - Time in ms before which no matching row can exist,
+ *   or 0 to read the whole sheet
+ * @returns {Set<string>} Keys found
+ */
+function getRecentEventKeys(sheet, keyColumn, since) {
+  const keys = new Set();
+  const chunkSize = 500;
+  let lastRow = sheet.getLastRow();
+  
+  while (lastRow >= 2) {
+    const firstRow = Math.max(2, lastRow - chunkSize + 1);
+    const rows = sheet.getRange(firstRow, 1, lastRow - firstRow + 1, keyColumn).getValues();
+    
+    for (let i = rows.length - 1; i >= 0; i--) {
+      const timestamp = rows[i][0];
+      if (since && timestamp instanceof Date && timestamp.getTime() < since) {
+        return keys;
+      }
+      if (rows[i][keyColumn - 1]) keys.add(String(rows[i][keyColumn - 1]));
+    }
+    
+    lastRow = firstRow - 1;
+  }
+  
+  return keys;
+}
+
+/**
+ * Reads a student's saved progress through a video
+ * @param {string} userId - User ID
+ * @param {string} videoId - Video ID
+ * @returns {Object|null} Saved progress, or null if there is none
+ */
+function readProgress(userId, videoId) {
+  const ss = SpreadsheetApp.getActive();
+  const progressSheet = ss.getSheetByName(CONFIG.SHEETS.PROGRESS);
+  if (!progressSheet) return null;
+  
+  const row = findProgressRow(progressSheet, userId, videoId);
+  if (!row) return null;
+  
+  const values = progressSheet.getRange(row, 1, 1, CONFIG.HEADERS.PROGRESS.length).getValues()[0];
+  
+  try {
+    return {
+      sessionId: values[2],                                // Column C: Session ID
+      position: parseFloat(values[3]) || 0,                // Column D: Last Position
+      answeredOverlayIds: JSON.parse(values[4] || '[]'),   // Column E: Answered Overlays
+      results: JSON.parse(values[5] || '[]'),              // Column F: Results
+      completed: values[6] === true || values[6] === 'TRUE' // Column G: Completed
+    };
+  } catch (error) {
+    Logger.log("Unreadable progress for " + userId + ": " + error.toString());
+    return null;
+  }
+}
+
+/**
+ * Saves the current user's progress through a video, replacing any
+ * earlier record for the same video
+ * @param {Object} progressData - Video ID, session ID, position, answered overlay IDs, results and completed flag
+ * @returns {Object} Success message or error
+ */
+function saveProgress(progressData) {
+  try {
+    const ss = SpreadsheetApp.getActive();
+    const progressSheet = getOrCreateSheet(ss, CONFIG.SHEETS.PROGRESS, CONFIG.HEADERS.PROGRESS);
+    const userId = getCurrentUserId();
+    
+    const values = [
+      userId,
+      progressData.videoId || '',
+      progressData.sessionId || '',
+      progressData.position || 0,
+      JSON.stringify(progressData.answeredOverlayIds || []),
+      JSON.stringify(progressData.results || []),
+      progressData.completed === true,
+      new Date()
+    ];
+    
+    // One record per user and video; lock so two tabs don't both append
+    const lock = LockService.getScriptLock();
+    lock.waitLock(10000);
+    try {
+      const row = findProgressRow(progressSheet, userId, progressData.videoId);
+      if (row) {
+        progressSheet.getRange(row, 1, 1, values.length).setValues([values]);
+      } else {
+        progressSheet.appendRow(values);
+      }
+    } finally {
+      lock.releaseLock();
+    }
+    
+    return { success: true, message: "Progress saved" };
+  } catch (error) {
+    Logger.log("Error in saveProgress: " + error.toString());
+    return { error: "Failed to save progress: " + error.toString() };
+  }
+}
+
+/**
+ * Finds the Progress sheet row for a user and video
+ * @param {SpreadsheetApp.Sheet} progressSheet - The Progress sheet
+ * @param {string} userId - User ID
+ * @param {string} videoId - Video ID
+ * @returns {number|null} Sheet row number, or null if not found
+ */
+function findProgressRow(progressSheet, userId, videoId) {
+  if (progressSheet.getLastRow() < 2) return null;
+  
+  // Columns A-B: User ID, Video ID
+  const keys = progressSheet.getRange(2, 1, progressSheet.getLastRow() - 1, 2).getValues();
+  for (let i = 0; i < keys.length; i++) {
+    if (keys[i][0] === userId && keys[i][1] === videoId) {
+      return i + 2;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Gets the session each of a user's videos was last saved in, from a
+ * single read of the Progress sheet
+ * @param {string} userId - User ID
+ * @returns {Object} Session ID keyed by Video ID
+ */
+function readProgressSessions(userId) {
+  const progressSheet = SpreadsheetApp.getActive().getSheetByName(CONFIG.SHEETS.PROGRESS);
+  const sessions = {};
+  if (!progressSheet || progressSheet.getLastRow() < 2) return sessions;
+  
+  // Columns A-C: User ID, Video ID, Session ID
+  progressSheet.getRange(2, 1, progressSheet.getLastRow() - 1, 3).getValues().forEach(row => {
+    if (row[0] === userId && row[2]) {
+      sessions[row[1]] = row[2];
+    }
+  });
+  
+  return sessions;
+}
+
+/**
+ * Saves a user note for a specific video timestamp
+ * @param {Object} noteData - Note data
+ * @returns {Object} Success message or error
+ */
+function saveUserNote(noteData) {
+  try {
+    const ss = SpreadsheetApp.getActive();
+    const notesSheet = getOrCreateSheet(ss, CONFIG.SHEETS.USER_NOTES, CONFIG.HEADERS.USER_NOTES);
+    
+    // Add new row with note data
+    notesSheet.appendRow([
+      new Date(),
+      getCurrentUserId(),
+      noteData.videoTitle || '',
+      noteData.videoTime || 0,
+      noteData.noteContent || '',
+      noteData.sessionId || '',
+      noteData.videoId || ''
+    ]);
+    
+    return { success: true, message: "Note saved successfully" };
+  } catch (error) {
+    Logger.log("Error in saveUserNote: " + error.toString());
+    return { error: "Failed to save note: " + error.toString() };
+  }
+}
+
+/**
+ * Gets the signed-in user's notes for a specific video
+ * @param {string} videoId - Video ID
+ * @returns {Object} User notes or error
+ */
+function getUserNotes(videoId) {
+  try {
+    const ss = SpreadsheetApp.getActive();
+    const userId = getCurrentUserId();
+    const video = resolveVideo(videoId);
+    const notesSheet = ss.getSheetByName(CONFIG.SHEETS.USER_NOTES);
+    
+    if (!notesSheet) {
+      return { notes: [] };
+    }
+    
+    const notesData = notesSheet.getDataRange().getValues();
+    const notes = [];
+    
+    // Skip header row
+    for (let i = 1; i < notesData.length; i++) {
+      const row = notesData[i];
+      
+      // Check if this note matches the video and user
+      if (rowMatchesVideo(row[6], row[2], video) && row[1] === userId) {
+        notes.push({
+          timestamp: row[0],
+          videoTime: row[3],
+          content: row[4]
+        });
+      }
+    }
+    
+    return { notes: notes };
+  } catch (error) {
+    Logger.log("Error in getUserNotes: " + error.toString());
+    return { error: "Failed to retrieve notes: " + error.toString() };
+  }
+}
+
+/**
+ * Generates the signed-in student's performance report
+ * @param {string} videoId - Video ID
+ * @param {string} sessionId - Session identifier
+ * @returns {Object} Performance report data
+ */
+function getStudentReport(videoId, sessionId) {
+  try {
+    const ss = SpreadsheetApp.getActive();
+    const userId = getCurrentUserId();
+    const video = resolveVideo(videoId);
+    
+    // Get quiz analytics data
+    const analyticsSheet = ss.getSheetByName(CONFIG.SHEETS.QUIZ_ANALYTICS);
+    if (!analyticsSheet) {
+      return { 
+        error: "No quiz analytics data available",
+        summary: createDefaultReportSummary()
+      };
+    }
+    
+    const analyticsData = analyticsSheet.getDataRange().getValues();
+    
+    // Get user event data
+    const userDataSheet = ss.getSheetByName(CONFIG.SHEETS.USER_DATA);
+    let viewingData = [];
+    if (userDataSheet) {
+      viewingData = userDataSheet.getDataRange().getValues();
+    }
+    
+    // Get notes data
+    const notesSheet = ss.getSheetByName(CONFIG.SHEETS.USER_NOTES);
+    let notesData = [];
+    if (notesSheet) {
+      notesData = notesSheet.getDataRange().getValues();
+    }
+    
+    return buildStudentReport(video, userId, sessionId, analyticsData, viewingData, notesData);
+  } catch (error) {
+    Logger.log("Error in getStudentReport: " + error.toString());
+    return { 
+      error: "Failed to generate student report: " + error.toString(),
+      summary: createDefaultReportSummary()
+    };
+  }
+}
+
+/**
+ * Builds a student's performance report for one session of a video
+ * @param {Object} video - Video record
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Session identifier
+ * @param {Array<Array>} analyticsData - Quiz Analytics values, including the header row
+ * @param {Array<Array>} viewingData - User Data values, including the header row
+ * @param {Array<Array>} notesData - User Notes values, including the header row
+ * @returns {Object} Performance report data
+ */
+function buildStudentReport(video, userId, sessionId, analyticsData, viewingData, notesData) {
+  // Initialize report data
+  const report = {
+    videoId: video.id,
+    videoTitle: video.title,
+    userId: userId,
+    sessionId: sessionId,
+    quizPerformance: {
+      totalQuestions: 0,
+      correctAnswers: 0,
+      incorrectAnswers: 0,
+      accuracyPercentage: 0,
+      totalScore: 0,
+      scorePercentage: 0,
+      pendingReview: 0,
+      retryAttempts: 0,
+      averageTimeToAnswer: 0,
+      quizDetails: []
+    },
+    viewingStatistics: {
+      startTime: null,
+      endTime: null,
+      completed: false,
+      totalTimeSpent: 0,
+      completionPercentage: 0,
+      watchedSeconds: 0,
+      rewatchedSeconds: 0,
+      rewindCount: 0,
+      pauseCount: 0,
+      remediationLoops: 0
+    },
+    attention: {
+      focusTime: 0,
+      timeOffTab: 0,
+      distractionCount: 0,
+      rewinds: 0,
+      skips: 0,
+      pauseHotspots: []
+    },
+    questionPools: [],
+    notesCount: 0,
+    summary: createDefaultReportSummary()
+  };
+  
+  // Process quiz analytics
+  let totalTimeToAnswer = 0;
+  const scoredOverlays = new Set();
+  
+  // Skip header row
+  for (let i = 1; i < analyticsData.length; i++) {
+    const row = analyticsData[i];
+    
+    // Only include this user's data for this session and video
+    if (row[8] === sessionId && row[1] === userId && rowMatchesVideo(row[9], row[2], video)) {
+      const attempt = readQuizAttempt(row);
+      const overlayId = attempt.overlayId;
+      const quizType = attempt.quizType;
+      const wasCorrect = attempt.wasCorrect;
+      const selectedOption = attempt.selectedOption || attempt.responseText;
+      const timeToAnswer = attempt.timeToAnswer;
+      const score = attempt.score;
+      const attemptNumber = attempt.attemptNumber;
+      
+      // Responses waiting for the teacher don't count towards the score yet
+      if (attempt.pendingReview) {
+        report.quizPerformance.pendingReview++;
+        report.quizPerformance.quizDetails.push({
+          overlayId: overlayId,
+          quizType: quizType,
+          wasCorrect: null,
+          score: null,
+          selectedOption: selectedOption,
+          timeToAnswer: timeToAnswer,
+          attemptNumber: attemptNumber
+        });
+        continue;
+      }
+      
+      // Retries are listed, but only the first try at a question is scored
+      // (a resumed session can't count a question twice)
+      if (attemptNumber > 1 || scoredOverlays.has(overlayId)) {
+        report.quizPerformance.retryAttempts++;
+        report.quizPerformance.quizDetails.push({
+          overlayId: overlayId,
+          quizType: quizType,
+          wasCorrect: wasCorrect,
+          score: score,
+          selectedOption: selectedOption,
+          timeToAnswer: timeToAnswer,
+          attemptNumber: attemptNumber
+        });
+        continue;
+      }
+      
+      scoredOverlays.add(overlayId);
+      report.quizPerformance.totalQuestions++;
+      if (wasCorrect) {
+        report.quizPerformance.correctAnswers++;
+      } else {
+        report.quizPerformance.incorrectAnswers++;
+      }
+      
+      report.quizPerformance.totalScore += score;
+      totalTimeToAnswer += timeToAnswer;
+      
+      // Add to quiz details
+      report.quizPerformance.quizDetails.push({
+        overlayId: overlayId,
+        quizType: quizType,
+        wasCorrect: wasCorrect,
+        score: score,
+        selectedOption: selectedOption,
+        timeToAnswer: timeToAnswer,
+        attemptNumber: attemptNumber
+      });
+    }
+  }
+  
+  // Calculate quiz performance metrics
+  if (report.quizPerformance.totalQuestions > 0) {
+    report.quizPerformance.accuracyPercentage = 
+      (report.quizPerformance.correctAnswers / report.quizPerformance.totalQuestions) * 100;
+    report.quizPerformance.scorePercentage = 
+      (report.quizPerformance.totalScore / report.quizPerformance.totalQuestions) * 100;
+    report.quizPerformance.averageTimeToAnswer = 
+      totalTimeToAnswer / report.quizPerformance.totalQuestions;
+  }
+  
+  // Process viewing data
+  let startEvent = null;
+  let endEvent = null;
+  let pauseCount = 0;
+  let remediationLoops = 0;
+  let furthestPosition = 0;
+  let videoDuration = 0;
+  let watchedIntervals = [];
+  let pausePoints = [];
+  
+  // Skip header row
+  for (let i = 1; i < viewingData.length; i++) {
+    const row = viewingData[i];
+    
+    // Only include this user's data for this session and video
+    if (row[1] === sessionId && row[2] === userId && rowMatchesVideo(row[8], row[3], video)) {
+      const timestamp = row[0]; // Timestamp
+      const eventType = row[4]; // Event Type
+      
+      // Track start/end times
+      if (eventType === 'activity_started' && (!startEvent || timestamp < startEvent)) {
+        startEvent = timestamp;
+      }
+      if (eventType === 'video_completed' && (!endEvent || timestamp > endEvent)) {
+        endEvent = timestamp;
+      }
+      
+      // Track the furthest point reached, for completion within the clip
+      const playback = readEventPlayback(row);
+      furthestPosition = Math.max(furthestPosition, playback.position);
+      videoDuration = Math.max(videoDuration, playback.duration);
+      
+      // Collect the stretches of video actually played
+      if (eventType === 'watched_intervals') {
+        watchedIntervals = watchedIntervals.concat(readWatchedIntervals(row));
+      }
+      
+      // Count pauses
+      if (eventType === 'video_paused') {
+        pauseCount++;
+      }
+      
+      // Count rewinds to review a section after a wrong answer
+      if (eventType === 'remediation_loop') {
+        remediationLoops++;
+      }
+      
+      // List the questions drawn from each question pool
+      if (eventType === 'pool_drawn') {
+        const draw = parsePoolDraw(row);
+        if (draw) {
+          report.questionPools.push(draw);
+        }
+      }
+      
+      // Add up the focus and navigation counts sent since the last batch
+      if (eventType === 'attention_metrics') {
+        const metrics = readAttentionMetrics(row);
+        if (metrics) {
+          report.attention.focusTime += metrics.focusTime;
+          report.attention.timeOffTab += metrics.timeOffTab;
+          report.attention.distractionCount += metrics.distractionCount;
+          report.attention.rewinds += metrics.rewinds;
+          report.attention.skips += metrics.skips;
+          pausePoints = pausePoints.concat(metrics.pausePoints);
+        }
+      }
+    }
+  }
+  
+  report.attention.pauseHotspots = findHotspots(pausePoints, 10, 3);
+  
+  // Set viewing statistics
+  if (startEvent && endEvent) {
+    report.viewingStatistics.startTime = startEvent;
+    report.viewingStatistics.endTime = endEvent;
+    report.viewingStatistics.totalTimeSpent = 
+      (endEvent.getTime() - startEvent.getTime()) / 1000; // in seconds
+    report.viewingStatistics.completionPercentage = 100; // Assuming completed if we have end event
+  }
+  
+  // Completion is the share of the clip actually played. Sessions logged
+  // before watched intervals were recorded fall back to the furthest point reached.
+  if (watchedIntervals.length > 0) {
+    const viewing = summarizeViewing(watchedIntervals, video.startTime || 0, getClipEndTime(video, videoDuration));
+    report.viewingStatistics.watchedSeconds = viewing.watchedSeconds;
+    report.viewingStatistics.rewatchedSeconds = viewing.rewatchedSeconds;
+    report.viewingStatistics.rewindCount = viewing.rewindCount;
+    if (viewing.coveragePercentage !== null) {
+      report.viewingStatistics.completionPercentage = viewing.coveragePercentage;
+    }
+  } else {
+    const clipCompletion = getClipCompletion(video, furthestPosition, videoDuration);
+    if (clipCompletion !== null) {
+      report.viewingStatistics.completionPercentage = clipCompletion;
+    }
+  }
+  
+  // Whether the session reached the end of the video
+  report.viewingStatistics.completed = endEvent !== null;
+  report.viewingStatistics.pauseCount = pauseCount;
+  report.viewingStatistics.remediationLoops = remediationLoops;
+  
+  // Count notes
+  for (let i = 1; i < notesData.length; i++) {
+    const row = notesData[i];
+    
+    // Only include this user's data for this session and video
+    if (row[5] === sessionId && row[1] === userId && rowMatchesVideo(row[6], row[2], video)) {
+      report.notesCount++;
+    }
+  }
+  
+  // Generate summary text
+  report.summary = generateReportSummary(report);
+  
+  return report;
+}
+
+/**
+ * Reads a Quiz Analytics row into an attempt object. A teacher's manual
+ * score takes precedence over the automatic one. Rows recorded before
+ * the Score column existed score 1 when correct and 0 otherwise.
+ * @param {Array} row - Quiz Analytics row values
+ * @returns {Object} Attempt data
+ */
+function readQuizAttempt(row) {
+  const manualScore = parseFloat(row[13]); // Column N: Manual Score
+  const autoScore = parseFloat(row[10]);   // Column K: Score
+  const isUngraded = row[5] === '' || row[5] === null;
+  let wasCorrect = row[5] === true || row[5] === "TRUE";
+  let score = isNaN(autoScore) ? (wasCorrect ? 1 : 0) : autoScore;
+  
+  if (!isNaN(manualScore)) {
+    score = manualScore;
+    wasCorrect = manualScore >= 1;
+  }
+  
+  return {
+    timestamp: row[0],
+    userId: row[1],
+    videoTitle: row[2],
+    overlayId: row[3],
+    quizType: row[4],
+    wasCorrect: wasCorrect,
+    selectedOption: row[6],
+    timeToAnswer: parseFloat(row[7]) || 0,
+    sessionId: row[8],
+    videoId: row[9],
+    score: score,
+    responseText: row[11] || '',
+    attemptId: row[12] || '',
+    manualScore: isNaN(manualScore) ? null : manualScore,
+    reviewedBy: row[14] || '',
+    attemptNumber: parseInt(row[15], 10) || 1, // Column P: Attempt Number
+    pendingReview: isUngraded && isNaN(manualScore)
+  };
+}
+
+/**
+ * Reads a pool_drawn event from the User Data sheet
+ * @param {Array} row - User Data row values
+ * @returns {Object|null} Checkpoint, group, seed and drawn question IDs, or null if unreadable
+ */
+function parsePoolDraw(row) {
+  try {
+    const eventData = JSON.parse(row[5]); // Column F: Event Data
+    return {
+      checkpointId: eventData.checkpointId,
+      groupName: eventData.groupName || '',
+      seed: eventData.seed,
+      questionIds: eventData.questionIds || []
+    };
+  } catch (error) {
+    Logger.log("Unreadable pool_drawn event: " + row[5]);
+    return null;
+  }
+}
+
+/**
+ * Reads the playback position and video duration logged with an event
+ * @param {Array} row - User Data row values
+ * @returns {Object} Furthest position and duration in seconds (0 when not logged)
+ */
+function readEventPlayback(row) {
+  try {
+    const eventData = JSON.parse(row[5] || '{}'); // Column F: Event Data
+    return {
+      position: Math.max(readEventSeconds(eventData.time) || 0, readEventSeconds(eventData.furthestWatched) || 0),
+      duration: readEventSeconds(eventData.duration) || 0
+    };
+  } catch (error) {
+    return { position: 0, duration: 0 };
+  }
+}
+
+/**
+ * Works out how much of a video's clip was watched
+ * @param {Object} video - Video record with startTime and endTime
+ * @param {number} furthestPosition - Furthest playback position reached (sec)
+ * @param {number} duration - Full video duration reported by the player (sec)
+ * @returns {number|null} Percentage of the clip, or null if the clip length is unknown
+ */
+function getClipCompletion(video, furthestPosition, duration) {
+  const clipStart = video.startTime || 0;
+  const clipEnd = getClipEndTime(video, duration);
+  
+  if (!clipEnd || clipEnd <= clipStart || !furthestPosition) return null;
+  
+  const percent = ((furthestPosition - clipStart) / (clipEnd - clipStart)) * 100;
+  return Math.min(100, Math.max(0, percent));
+}
+
+/**
+ * Reads the focus and navigation counts logged by an attention_metrics
+ * event. Each event holds only what happened since the one before it.
+ * @param {Array} row - User Data row values
+ * @returns {Object|null} Focus time and time off the tab (sec), distractions,
+ *   rewinds, skips and pause positions, or null if unreadable
+ */
+function readAttentionMetrics(row) {
+  try {
+    const eventData = JSON.parse(row[5]); // Column F: Event Data
+    return {
+      focusTime: parseFloat(eventData.focusTime) || 0,
+      timeOffTab: parseFloat(eventData.timeOffTab) || 0,
+      distractionCount: parseInt(eventData.distractionCount, 10) || 0,
+      rewinds: parseInt(eventData.rewinds, 10) || 0,
+      skips: parseInt(eventData.skips, 10) || 0,
+      pausePoints: (eventData.pausePoints || []).map(Number).filter(time => !isNaN(time))
+    };
+  } catch (error) {
+    Logger.log("Unreadable attention_metrics event: " + row[5]);
+    return null;
+  }
+}
+
+/**
+ * Groups video positions into fixed windows and finds the busiest ones
+ * @param {Array<number>} positions - Video positions in seconds
+ * @param {number} windowSize - Window length in seconds
+ * @param {number} limit - Maximum number of windows to return
+ * @returns {Array<Object>} Windows with start time and count, busiest first
+ */
+function findHotspots(positions, windowSize, limit) {
+  const counts = {};
+  
+  positions.forEach(position => {
+    const windowStart = Math.floor(position / windowSize) * windowSize;
+    counts[windowStart] = (counts[windowStart] || 0) + 1;
+  });
+  
+  return Object.keys(counts)
+    .map(time => ({ time: Number(time), count: counts[time] }))
+    .sort((a, b) => b.count - a.count || a.time - b.time)
+    .slice(0, limit);
+}
+
+/**
+ * Works out where a video's clip ends
+ * @param {Object} video - Video record with endTime
+ * @param {number} duration - Full video duration reported by the player (sec), 0 if unknown
+ * @returns {number} End of the clip in seconds, 0 if unknown
+ */
+function getClipEndTime(video, duration) {
+  return video.endTime ? Math.min(video.endTime, duration || video.endTime) : duration;
+}
+
+/**
+ * Reads a playback time sent by the browser, which can't be trusted to
+ * stay within a video
+ * @param {*} value - Seconds from the event data
+ * @returns {number|null} Seconds, clamped to 0 to CONFIG.DEFAULTS.MAX_VIDEO_DURATION,
+ *   or null if the value is not a finite number
+ */
+function readEventSeconds(value) {
+  const seconds = typeof value === 'number' ? value : parseFloat(value);
+  return isFinite(seconds) ? Math.min(Math.max(seconds, 0), CONFIG.DEFAULTS.MAX_VIDEO_DURATION) : null;
+}
+
+/**
+ * Reads the stretches of video played, as logged by a watched_intervals event
+ * @param {Array} row - User Data row values
+ * @returns {Array<Array<number>>} [start, end] pairs in seconds, in the order they were played
+ */
+function readWatchedIntervals(row) {
+  try {
+    const eventData = JSON.parse(row[5]); // Column F: Event Data
+    const intervals = Array.isArray(eventData.intervals) ? eventData.intervals : [];
+    return intervals
+      .filter(interval => Array.isArray(interval))
+      .map(interval => [readEventSeconds(interval[0]), readEventSeconds(interval[1])])
+      .filter(interval => interval[0] !== null && interval[1] !== null && interval[1] > interval[0]);
+  } catch (error) {
+    Logger.log("Unreadable watched_intervals event: " + row[5]);
+    return [];
+  }
+}
+
+/**
+ * Merges overlapping or touching intervals
+ * @param {Array<Array<number>>} intervals - [start, end] pairs in any order
+ * @returns {Array<Array<number>>} Sorted, non-overlapping intervals
+ */
+function mergeIntervals(intervals) {
+  const merged = [];
+  
+  intervals
+    .map(interval => [interval[0], interval[1]])
+    .sort((a, b) => a[0] - b[0])
+    .forEach(interval => {
+      const last = merged[merged.length - 1];
+      if (last && interval[0] <= last[1]) {
+        last[1] = Math.max(last[1], interval[1]);
+      } else {
+        merged.push(interval);
+      }
+    });
+  
+  return merged;
+}
+
+/**
+ * Summarises one session's viewing from the intervals it played. Each
+ * second is counted from the rounded interval bounds, so consecutive
+ * batches that meet mid-second don't count that second twice.
+ * @param {Array<Array<number>>} intervals - [start, end] pairs in the order they were played
+ * @param {number} clipStart - Start of the clip (sec)
+ * @param {number} clipEnd - End of the clip (sec), 0 if unknown
+ * @returns {Object} Seconds watched and rewatched, rewinds (and the points rewound
+ *   from), coverage of the clip (null if its length is unknown) and a per-second view count
+ */
+function summarizeViewing(intervals, clipStart, clipEnd) {
+  const heatmap = [];
+  const rewindPoints = [];
+  
+  // Nothing plays past the end of the clip, so the heatmap stops there
+  if (clipEnd) {
+    intervals = intervals
+      .map(interval => [interval[0], Math.min(interval[1], clipEnd)])
+      .filter(interval => interval[1] > interval[0]);
+  }
+  
+  intervals.forEach((interval, index) => {
+    // A stretch starting well before the previous one ended is a rewind
+    if (index > 0 && interval[0] < intervals[index - 1][1] - 2) {
+      rewindPoints.push(intervals[index - 1][1]);
+    }
+    
+    for (let second = Math.round(interval[0]); second < Math.round(interval[1]); second++) {
+      heatmap[second] = (heatmap[second] || 0) + 1;
+    }
+  });
+  
+  let watchedSeconds = 0;
+  let rewatchedSeconds = 0;
+  let clipSecondsWatched = 0;
+  
+  for (let second = 0; second < heatmap.length; second++) {
+    heatmap[second] = heatmap[second] || 0;
+    if (heatmap[second] > 0) watchedSeconds++;
+    if (heatmap[second] > 1) rewatchedSeconds++;
+    if (heatmap[second] > 0 && second >= Math.floor(clipStart) && (!clipEnd || second < clipEnd)) {
+      clipSecondsWatched++;
+    }
+  }
+  
+  const clipLength = clipEnd ? Math.ceil(clipEnd) - Math.floor(clipStart) : 0;
+  
+  return {
+    watchedSeconds: watchedSeconds,
+    rewatchedSeconds: rewatchedSeconds,
+    rewindCount: rewindPoints.length,
+    rewindPoints: rewindPoints,
+    coveragePercentage: clipLength > 0 ? Math.min(100, (clipSecondsWatched / clipLength) * 100) : null,
+    heatmap: heatmap
+  };
+}
+
+/**
+ * Builds the class-wide viewing picture for a video: how many times each
+ * second was played, where students rewound from, and where sessions
+ * that never finished stopped watching
+ * @param {Array<Array>} viewingData - User Data values, including the header row
+ * @param {Object} video - Video record
+ * @returns {Object} Per-second views, rewinds and drop-offs, plus session count and average coverage
+ */
+function buildClassViewingReport(viewingData, video) {
+  const sessions = {};
+  
+  // Skip header row
+  for (let i = 1; i < viewingData.length; i++) {
+    const row = viewingData[i];
+    if (!rowMatchesVideo(row[8], row[3], video)) continue;
+    
+    const eventType = row[4];
+    if (eventType !== 'watched_intervals' && eventType !== 'video_completed') continue;
+    
+    const key = row[2] + '|' + row[1]; // User ID and Session ID
+    if (!sessions[key]) {
+      sessions[key] = { intervals: [], completed: false, duration: 0 };
+    }
+    
+    const session = sessions[key];
+    session.duration = Math.max(session.duration, readEventPlayback(row).duration);
+    if (eventType === 'video_completed') {
+      session.completed = true;
+    } else {
+      session.intervals = session.intervals.concat(readWatchedIntervals(row));
+    }
+  }
+  
+  const viewing = { sessionCount: 0, averageCoverage: 0, views: [], rewinds: [], dropOffs: [] };
+  const addAt = (counts, second, amount) => {
+    for (let s = counts.length; s <= second; s++) counts[s] = 0;
+    counts[second] += amount;
+  };
+  let coverageTotal = 0;
+  let coverageCount = 0;
+  
+  for (const key in sessions) {
+    const session = sessions[key];
+    if (session.intervals.length === 0) continue;
+    
+    viewing.sessionCount++;
+    const clipEnd = getClipEndTime(video, session.duration);
+    const summary = summarizeViewing(session.intervals, video.startTime || 0, clipEnd);
+    
+    summary.heatmap.forEach((count, second) => addAt(viewing.views, second, count));
+    
+    // Rewinds are placed at the point the student went back from
+    summary.rewindPoints.forEach(point => addAt(viewing.rewinds, Math.floor(point), 1));
+    
+    // Unfinished sessions dropped off where their last stretch ended
+    if (!session.completed) {
+      const lastEnd = session.intervals[session.intervals.length - 1][1];
+      addAt(viewing.dropOffs, Math.floor(clipEnd ? Math.min(lastEnd, clipEnd) : lastEnd), 1);
+    }
+    
+    if (summary.coveragePercentage !== null) {
+      coverageTotal += summary.coveragePercentage;
+      coverageCount++;
+    }
+  }
+  
+  if (coverageCount > 0) {
+    viewing.averageCoverage = coverageTotal / coverageCount;
+  }
+  
+  return viewing;
+}
+
+/**
+ * Checks whether a time falls inside a video's clip
+ * @param {number} seconds - Time in the full video
+ * @param {Object} video - Video record with startTime and endTime
+ * @returns {boolean} True if the time can be reached in the clip
+ */
+function isWithinClip(seconds, video) {
+  if (video.startTime && seconds < video.startTime) return false;
+  if (video.endTime && seconds > video.endTime) return false;
+  return true;
+}
+
+/**
+ * Creates default report summary if no data is available
+ * @returns {Object} Default summary object
+ */
+function createDefaultReportSummary() {
+  return {
+    title: "Activity Completed",
+    message: "You have completed this video activity.",
+    grade: "N/A",
+    feedback: "No quiz data available for this session."
+  };
+}
+
+/**
+ * Generates a human-readable summary from report data
+ * @param {Object} report - The performance report data
+ * @returns {Object} Summary object with title, message, grade, and feedback
+ */
+function generateReportSummary(report) {
+  // Initialize summary
+  const summary = {
+    title: "Activity Completed",
+    message: `You have completed "${report.videoTitle}".`,
+    grade: "N/A",
+    feedback: ""
+  };
+  
+  // Add quiz performance data if available
+  if (report.quizPerformance.totalQuestions > 0) {
+    // Grade on score so partially correct answers earn partial credit
+    const accuracy = report.quizPerformance.scorePercentage.toFixed(1);
+    
+    summary.grade = accuracy + "%";
+    
+    // Generate feedback based on performance
+    if (accuracy >= 90) {
+      summary.feedback = "Excellent work! You demonstrated a strong understanding of the material.";
+    } else if (accuracy >= 75) {
+      summary.feedback = "Good job! You have a solid grasp of most concepts.";
+    } else if (accuracy >= 60) {
+      summary.feedback = "You're on the right track, but may want to review the material again to strengthen your understanding.";
+    } else {
+      summary.feedback = "It looks like you might need to revisit this content. Consider rewatching the video and paying close attention to the key points.";
+    }
+    
+    // Add detailed statistics
+    summary.message += ` You answered ${report.quizPerformance.correctAnswers} out of ${report.quizPerformance.totalQuestions} questions correctly.`;
+  } else {
+    summary.feedback = "No quiz data available for this session.";
+  }
+  
+  // Mention sections that were rewatched for review
+  const remediationLoops = report.viewingStatistics.remediationLoops;
+  if (remediationLoops > 0) {
+    summary.message += ` You reviewed ${remediationLoops} section${remediationLoops !== 1 ? 's' : ''} again after a wrong answer.`;
+  }
+  
+  // Mention time spent away from the video
+  const distractions = report.attention ? report.attention.distractionCount : 0;
+  if (distractions > 0) {
+    summary.message += ` You left the video tab ${distractions} time${distractions !== 1 ? 's' : ''}.`;
+  }
+  
+  // Add note-taking info if applicable
+  if (report.notesCount > 0) {
+    summary.message += ` You took ${report.notesCount} note${report.notesCount !== 1 ? 's' : ''} during the video.`;
+  }
+  
+  return summary;
+}
+
+/**
+ * Generates quiz performance report for teacher view
+ * @param {string} videoId - Optional: filter by Video ID
+ * @returns {Object} Quiz performance data or error
+ */
+function getQuizPerformanceReport(videoId = null) {
+  try {
+    const denied = checkTeacherAccess();
+    if (denied) return denied;
+    
+    const ss = SpreadsheetApp.getActive();
+    const video = videoId ? resolveVideo(videoId) : null;
+    const analyticsSheet = ss.getSheetByName(CONFIG.SHEETS.QUIZ_ANALYTICS);
+    
+    if (!analyticsSheet) {
+      return { error: "No quiz analytics data available" };
+    }
+    
+    const analyticsData = analyticsSheet.getDataRange().getValues();
+    const report = {
+      totalAttempts: 0,
+      correctAttempts: 0,
+      incorrectAttempts: 0,
+      pendingReview: 0,
+      retryAttempts: 0,
+      averageTimeToAnswer: 0,
+      quizzesByOverlay: {},
+      userPerformance: {}
+    };
+    
+    let totalTimeToAnswer = 0;
+    // Each student's first attempt at each question, for item analysis
+    const firstAttempts = {};
+    
+    const getOverlayTotals = overlayId => {
+      if (!report.quizzesByOverlay[overlayId]) {
+        report.quizzesByOverlay[overlayId] = {
+          totalAttempts: 0,
+          correctAttempts: 0,
+          incorrectAttempts: 0
+        };
+      }
+      return report.quizzesByOverlay[overlayId];
+    };
+    
+    // Adds attempts at one question to the totals, by overlay and by user
+    const addAttempts = (userId, overlayId, attempts, correct, timeToAnswer, retries) => {
+      report.totalAttempts += attempts;
+      report.retryAttempts += retries;
+      report.correctAttempts += correct;
+      report.incorrectAttempts += attempts - correct;
+      totalTimeToAnswer += timeToAnswer;
+      
+      const overlay = getOverlayTotals(overlayId);
+      overlay.totalAttempts += attempts;
+      overlay.totalTimeToAnswer = (overlay.totalTimeToAnswer || 0) + timeToAnswer;
+      overlay.correctAttempts += correct;
+      overlay.incorrectAttempts += attempts - correct;
+      
+      if (!report.userPerformance[userId]) {
+        report.userPerformance[userId] = {
+          totalAttempts: 0,
+          correctAttempts: 0,
+          incorrectAttempts: 0
+        };
+      }
+      
+      report.userPerformance[userId].totalAttempts += attempts;
+      report.userPerformance[userId].correctAttempts += correct;
+      report.userPerformance[userId].incorrectAttempts += attempts - correct;
+    };
+    
+    // Archived sessions count through their summaries, oldest first, since
+    // they come before every row still in the sheet
+    readSessionSummaries(ss).forEach(summary => {
+      if (video && !rowMatchesVideo(summary.videoId, summary.videoTitle, video)) return;
+      
+      for (const overlayId in summary.questionStats) {
+        const stats = summary.questionStats[overlayId];
+        addAttempts(summary.userId, overlayId, stats.attempts, stats.correct, stats.time, stats.retries);
+        
+        if (stats.timesDrawn) {
+          const overlay = getOverlayTotals(overlayId);
+          overlay.timesDrawn = (overlay.timesDrawn || 0) + stats.timesDrawn;
+        }
+        
+        const firstAttemptKey = summary.userId + '|' + overlayId;
+        if (stats.first && !firstAttempts[firstAttemptKey]) {
+          firstAttempts[firstAttemptKey] = {
+            userId: summary.userId,
+            overlayId: overlayId,
+            wasCorrect: stats.first.wasCorrect,
+            score: stats.first.score,
+            selectedOption: stats.first.option
+          };
+        }
+      }
+    });
+    
+    // Skip header row
+    for (let i = 1; i < analyticsData.length; i++) {
+      const row = analyticsData[i];
+      
+      // Skip if filtering by video and this row doesn't match
+      if (video && !rowMatchesVideo(row[9], row[2], video)) {
+        continue;
+      }
+      
+      const attempt = readQuizAttempt(row);
+      
+      // Open responses are reviewed separately until they are scored
+      if (attempt.pendingReview) {
+        report.pendingReview++;
+        continue;
+      }
+      
+      addAttempts(attempt.userId, attempt.overlayId, 1, attempt.wasCorrect ? 1 : 0,
+                  attempt.timeToAnswer, attempt.attemptNumber > 1 ? 1 : 0);
+      
+      // Rows are in time order, so the first one seen is the first attempt
+      const firstAttemptKey = attempt.userId + '|' + attempt.overlayId;
+      if (!firstAttempts[firstAttemptKey]) {
+        firstAttempts[firstAttemptKey] = attempt;
+      }
+    }
+    
+    // Count how often each bank question was drawn, so pool questions can
+    // be compared with the number of students who actually saw them
+    const userDataSheet = ss.getSheetByName(CONFIG.SHEETS.USER_DATA);
+    if (userDataSheet) {
+      const viewingData = userDataSheet.getDataRange().getValues();
+      
+      // Where the class rewatches, rewinds and stops, for a single video
+      if (video) {
+        report.viewing = buildClassViewingReport(viewingData, video);
+      }
+      
+      for (let i = 1; i < viewingData.length; i++) {
+        const row = viewingData[i];
+        if (row[4] !== 'pool_drawn' || (video && !rowMatchesVideo(row[8], row[3], video))) {
+          continue;
+        }
+        
+        const draw = parsePoolDraw(row);
+        if (!draw) continue;
+        
+        draw.questionIds.forEach(overlayId => {
+          const overlay = getOverlayTotals(overlayId);
+          overlay.timesDrawn = (overlay.timesDrawn || 0) + 1;
+        });
+      }
+    }
+    
+    // Calculate averages
+    if (report.totalAttempts > 0) {
+      report.averageTimeToAnswer = totalTimeToAnswer / report.totalAttempts;
+      report.correctPercentage = (report.correctAttempts / report.totalAttempts) * 100;
+    }
+    
+    // Calculate percentages for each overlay and user
+    const itemAnalysis = buildItemAnalysis(Object.keys(firstAttempts).map(key => firstAttempts[key]));
+    
+    for (const overlayId in report.quizzesByOverlay) {
+      const overlay = report.quizzesByOverlay[overlayId];
+      if (overlay.totalAttempts > 0) {
+        overlay.correctPercentage = (overlay.correctAttempts / overlay.totalAttempts) * 100;
+        overlay.averageTimeToAnswer = overlay.totalTimeToAnswer / overlay.totalAttempts;
+      }
+      if (itemAnalysis[overlayId]) {
+        overlay.itemAnalysis = itemAnalysis[overlayId];
+      }
+    }
+    
+    for (const userId in report.userPerformance) {
+      const user = report.userPerformance[userId];
+      if (user.totalAttempts > 0) {
+        user.correctPercentage = (user.correctAttempts / user.totalAttempts) * 100;
+      }
+    }
+    
+    return report;
+  } catch (error) {
+    Logger.log("Error in getQuizPerformanceReport: " + error.toString());
+    return { error: "Failed to generate report: " + error.toString() };
+  }
+}
+
+/**
+ * Analyses each question from students' first attempts, since later tries
+ * can have wrong options removed. The discrimination index compares the
+ * top and bottom 27% of students, ranked by their average first-try score
+ * across all the questions; it runs from -1 to 1, and questions the
+ * stronger students get right more often score higher.
+ * @param {Array<Object>} firstAttempts - Each student's first attempt at each
+ *   question, as read by readQuizAttempt
+ * @returns {Object} Per overlay ID: studentCount, firstTryCorrectPercentage,
+ *   options (chosen counts, most chosen first) and discriminationIndex (null
+ *   with too few students)
+ */
+function buildItemAnalysis(firstAttempts) {
+  const attemptsByOverlay = {};
+  const studentScores = {};
+  
+  firstAttempts.forEach(attempt => {
+    if (!attemptsByOverlay[attempt.overlayId]) {
+      attemptsByOverlay[attempt.overlayId] = [];
+    }
+    attemptsByOverlay[attempt.overlayId].push(attempt);
+    
+    if (!studentScores[attempt.userId]) {
+      studentScores[attempt.userId] = { total: 0, count: 0 };
+    }
+    studentScores[attempt.userId].total += attempt.score;
+    studentScores[attempt.userId].count++;
+  });
+  
+  const averageScore = userId => studentScores[userId].total / studentScores[userId].count;
+  const ranked = Object.keys(studentScores).sort((a, b) => averageScore(b) - averageScore(a));
+  const groupSize = Math.floor(ranked.length * 0.27);
+  const upperGroup = ranked.slice(0, groupSize);
+  const lowerGroup = ranked.slice(ranked.length - groupSize);
+  const meanScore = attempts => attempts.reduce((sum, attempt) => sum + attempt.score, 0) / attempts.length;
+  
+  const analysis = {};
+  
+  for (const overlayId in attemptsByOverlay) {
+    const attempts = attemptsByOverlay[overlayId];
+    const options = {};
+    
+    attempts.forEach(attempt => {
+      // Short answers have no option, so group their typed responses
+      const option = (attempt.selectedOption || attempt.responseText || '').toString().trim() || '(no answer)';
+      if (!options[option]) {
+        options[option] = { option: option, count: 0, isCorrect: false };
+      }
+      options[option].count++;
+      if (attempt.wasCorrect) {
+        options[option].isCorrect = true;
+      }
+    });
+    
+    const upperAttempts = attempts.filter(attempt => upperGroup.includes(attempt.userId));
+    const lowerAttempts = attempts.filter(attempt => lowerGroup.includes(attempt.userId));
+    
+    analysis[overlayId] = {
+      studentCount: attempts.length,
+      firstTryCorrectPercentage: meanScore(attempts) * 100,
+      options: Object.keys(options).map(option => options[option]).sort((a, b) => b.count - a.count),
+      discriminationIndex: upperAttempts.length > 0 && lowerAttempts.length > 0 ?
+        meanScore(upperAttempts) - meanScore(lowerAttempts) : null
+    };
+  }
+  
+  return analysis;
+}
+
+/**
+ * Gets everything one student did in a video, oldest first: answers,
+ * notes and viewing events, across all their sessions
+ * @param {string} videoId - Video ID
+ * @param {string} userId - The student's user ID
+ * @returns {Object} Timeline entries or error
+ */
+function getStudentTimeline(videoId, userId) {
+  try {
+    const denied = checkTeacherAccess();
+    if (denied) return denied;
+    
+    const ss = SpreadsheetApp.getActive();
+    const video = resolveVideo(videoId);
+    const analyticsSheet = ss.getSheetByName(CONFIG.SHEETS.QUIZ_ANALYTICS);
+    const userDataSheet = ss.getSheetByName(CONFIG.SHEETS.USER_DATA);
+    const notesSheet = ss.getSheetByName(CONFIG.SHEETS.USER_NOTES);
+    const entries = [];
+    
+    const toTime = value => value instanceof Date ? value.getTime() : new Date(value).getTime() || 0;
+    
+    if (analyticsSheet) {
+      const analyticsData = analyticsSheet.getDataRange().getValues();
+      
+      // Skip header row
+      for (let i = 1; i < analyticsData.length; i++) {
+        const row = analyticsData[i];
+        if (row[1] !== userId || !rowMatchesVideo(row[9], row[2], video)) continue;
+        
+        const attempt = readQuizAttempt(row);
+        entries.push({
+          kind: 'answer',
+          time: toTime(attempt.timestamp),
+          sessionId: attempt.sessionId,
+          overlayId: attempt.overlayId,
+          quizType: attempt.quizType,
+          answer: attempt.selectedOption || attempt.responseText || '',
+          wasCorrect: attempt.wasCorrect,
+          score: attempt.score,
+          timeToAnswer: attempt.timeToAnswer,
+          attemptNumber: attempt.attemptNumber,
+          pendingReview: attempt.pendingReview
+        });
+      }
+    }
+    
+    if (userDataSheet) {
+      const viewingData = userDataSheet.getDataRange().getValues();
+      
+      // Skip header row
+      for (let i = 1; i < viewingData.length; i++) {
+        const row = viewingData[i];
+        if (row[2] !== userId || !rowMatchesVideo(row[8], row[3], video)) continue;
+        
+        let eventData = {};
+        try {
+          eventData = row[5] ? JSON.parse(row[5]) : {}; // Column F: Event Data
+        } catch (error) {
+          Logger.log("Unreadable event data: " + row[5]);
+        }
+        
+        entries.push({
+          kind: 'event',
+          time: toTime(row[0]),
+          sessionId: row[1],
+          eventType: row[4],
+          eventData: eventData
+        });
+      }
+    }
+    
+    if (notesSheet) {
+      const notesData = notesSheet.getDataRange().getValues();
+      
+      // Skip header row
+      for (let i = 1; i < notesData.length; i++) {
+        const row = notesData[i];
+        if (row[1] !== userId || !rowMatchesVideo(row[6], row[2], video)) continue;
+        
+        entries.push({
+          kind: 'note',
+          time: toTime(row[0]),
+          sessionId: row[5],
+          videoTime: parseFloat(row[3]) || 0,
+          content: row[4]
+        });
+      }
+    }
+    
+    // Sort is stable, so entries written in the same instant keep sheet order
+    entries.sort((a, b) => a.time - b.time);
+    
+    return { userId: userId, videoTitle: video.title, entries: entries };
+  } catch (error) {
+    Logger.log("Error in getStudentTimeline: " + error.toString());
+    return { error: "Failed to load the student timeline: " + error.toString() };
+  }
+}
+
+/**
+ * Gets the open responses for a video so a teacher can read and score them
+ * @param {string} videoId - Video ID
+ * @returns {Object} Open responses, newest first, or error
+ */
+function getOpenResponses(videoId) {
+  try {
+    const denied = checkTeacherAccess();
+    if (denied) return denied;
+    
+    const ss = SpreadsheetApp.getActive();
+    const video = resolveVideo(videoId);
+    const analyticsSheet = ss.getSheetByName(CONFIG.SHEETS.QUIZ_ANALYTICS);
+    
+    if (!analyticsSheet) {
+      return { responses: [] };
+    }
+    
+    const analyticsData = analyticsSheet.getDataRange().getValues();
+    const responses = [];
+    
+    // Skip header row
+    for (let i = 1; i < analyticsData.length; i++) {
+      const row = analyticsData[i];
+      
+      if (row[4] !== CONFIG.OVERLAY_TYPES.OPEN_RESPONSE || !rowMatchesVideo(row[9], row[2], video)) {
+        continue;
+      }
+      
+      const attempt = readQuizAttempt(row);
+      responses.push({
+        attemptId: attempt.attemptId,
+        timestamp: attempt.timestamp instanceof Date ? attempt.timestamp.toISOString() : attempt.timestamp,
+        userId: attempt.userId,
+        overlayId: attempt.overlayId,
+        responseText: attempt.responseText,
+        manualScore: attempt.manualScore,
+        reviewedBy: attempt.reviewedBy
+      });
+    }
+    
+    responses.reverse();
+    
+    return { responses: responses };
+  } catch (error) {
+    Logger.log("Error in getOpenResponses: " + error.toString());
+    return { error: "Failed to load open responses: " + error.toString() };
+  }
+}
+
+/**
+ * Saves a teacher's score for an open response
+ * @param {string} attemptId - Attempt ID of the response
+ * @param {number} score - Score between 0 and 1
+ * @returns {Object} Success message or error
+ */
+function scoreOpenResponse(attemptId, score) {
+  try {
+    const denied = checkTeacherAccess();
+    if (denied) return denied;
+    
+    const value = parseFloat(score);
+    if (!attemptId || isNaN(value) || value < 0 || value > 1) {
+      return { error: "Score must be between 0 and 1" };
+    }
+    
+    const ss = SpreadsheetApp.getActive();
+    const analyticsSheet = ss.getSheetByName(CONFIG.SHEETS.QUIZ_ANALYTICS);
+    if (!analyticsSheet) {
+      return { error: "No quiz analytics data available" };
+    }
+    
+    // Column M holds the Attempt ID
+    const match = analyticsSheet.getRange('M:M')
+      .createTextFinder(attemptId)
+      .matchEntireCell(true)
+      .findNext();
+    
+    if (!match) {
+      return { error: "Response not found" };
+    }
+    
+    // Columns N and O: Manual Score, Reviewed By
+    analyticsSheet.getRange(match.getRow(), 14, 1, 2).setValues([[value, getCurrentUserId()]]);
+    
+    return { success: true, message: "Score saved" };
+  } catch (error) {
+    Logger.log("Error in scoreOpenResponse: " + error.toString());
+    return { error: "Failed to save score: " + error.toString() };
+  }
+}
+
+/**
+ * Builds the gradebook: one row per student with each video's score,
+ * completion and time spent, written to the Gradebook sheet. Every session,
+ * archived ones included, is an attempt at a video; the policy picks which
+ * attempt's score counts, while completion is the best reached and time
+ * spent adds up all attempts.
+ * @param {string} policy - 'first', 'best' or 'latest' attempt; defaults
+ *   to the GradebookPolicy setting
+ * @returns {Object} The grid as CSV, the policy used and a link to the sheet, or error
+ */
+function generateGradebook(policy) {
+  try {
+    const denied = checkTeacherAccess();
+    if (denied) return denied;
+    
+    const scoringPolicy = parseGradebookPolicy(policy) ||
+      parseGradebookPolicy(getAppSettings().GradebookPolicy) || CONFIG.GRADEBOOK_POLICIES.BEST;
+    
+    const ss = SpreadsheetApp.getActive();
+    const videos = getVideoRecords() || [];
+    const analyticsSheet = ss.getSheetByName(CONFIG.SHEETS.QUIZ_ANALYTICS);
+    const userDataSheet = ss.getSheetByName(CONFIG.SHEETS.USER_DATA);
+    const analyticsData = analyticsSheet ? analyticsSheet.getDataRange().getValues() : [[]];
+    const viewingData = userDataSheet ? userDataSheet.getDataRange().getValues() : [[]];
+    
+    const overlaysSheet = ss.getSheetByName(CONFIG.SHEETS.OVERLAYS);
+    const overlaysData = overlaysSheet ? overlaysSheet.getDataRange().getValues() : [[]];
+    const sessions = groupSessionRows(analyticsData, viewingData, videos);
+    
+    // Attempts are scored against every question in the video, so a run
+    // abandoned after a few answers can't beat a full one
+    const questionCounts = {};
+    videos.forEach(video => {
+      questionCounts[video.id] = countVideoQuestions(buildVideoOverlays(overlaysData, video).overlays);
+    });
+    
+    // Collect each student's attempts at each video
+    const attempts = {};
+    const addAttempt = (userId, videoId, attempt) => {
+      if (!attempts[userId]) {
+        attempts[userId] = {};
+      }
+      if (!attempts[userId][videoId]) {
+        attempts[userId][videoId] = [];
+      }
+      attempts[userId][videoId].push(attempt);
+    };
+    
+    // Archived sessions are graded from their summaries. Their completion
+    // events stay in User Data, so the summary replaces that session's rows.
+    const summarizedSessions = new Set();
+    readSessionSummaries(ss).forEach(summary => {
+      const video = videos.find(record => rowMatchesVideo(summary.videoId, summary.videoTitle, record));
+      if (!video) return;
+      
+      summarizedSessions.add([summary.userId, video.id, summary.sessionId].join('\n'));
+      addAttempt(summary.userId, video.id, {
+        time: summary.firstTime,
+        scored: summary.totalQuestions > 0,
+        // Sessions with answers awaiting review are never archived
+        score: getFullVideoScore({
+          quizPerformance: { totalQuestions: summary.totalQuestions, totalScore: summary.totalScore, pendingReview: 0 }
+        }, questionCounts[video.id]),
+        completion: summary.completionPercentage,
+        timeSpent: summary.timeSpent
+      });
+    });
+    
+    for (const sessionKey in sessions) {
+      if (summarizedSessions.has(sessionKey)) continue;
+      
+      const session = sessions[sessionKey];
+      const report = buildStudentReport(session.video, session.userId, session.sessionId,
+                                        session.analytics, session.viewing, [[]]);
+      
+      addAttempt(session.userId, session.video.id, {
+        time: session.firstTime || 0,
+        scored: report.quizPerformance.totalQuestions > 0,
+        score: getFullVideoScore(report, questionCounts[session.video.id]),
+        completion: report.viewingStatistics.completionPercentage,
+        timeSpent: getSessionTimeSpent(session, report)
+      });
     }
     
-    report.viewingStatistics.pauseCount = pauseCount;
+    // Active videos, plus retired ones students have results for
+    const gradedVideos = videos.filter(video =>
+      video.active || Object.keys(attempts).some(userId => attempts[userId][video.id]));
     
-    // Count notes
-    for (let i = 1; i < notesData.length; i++) {
-      const row = notesData[i];
+    const grid = [['Student']];
+    gradedVideos.forEach(video => {
+      grid[0].push(video.title + ' Score %', video.title + ' Completion %', video.title + ' Time (min)');
+    });
+    
+    Object.keys(attempts).sort().forEach(userId => {
+      const row = [userId];
       
-      // Only include data for this session and video
-      if (row[5] === sessionId && row[2] === videoTitle) {
-        report.notesCount++;
-      }
-    }
+      gradedVideos.forEach(video => {
+        const videoAttempts = attempts[userId][video.id];
+        if (!videoAttempts) {
+          row.push('', '', '');
+          return;
+        }
+        
+        const scoredAttempt = pickGradebookAttempt(videoAttempts.filter(attempt => attempt.scored), scoringPolicy);
+        const completion = Math.max.apply(null, videoAttempts.map(attempt => attempt.completion));
+        const timeSpent = videoAttempts.reduce((total, attempt) => total + attempt.timeSpent, 0);
+        
+        row.push(
+          scoredAttempt ? Math.round(scoredAttempt.score * 10) / 10 : '',
+          Math.round(completion),
+          Math.round(timeSpent / 6) / 10
+        );
+      });
+      
+      grid.push(row);
+    });
     
-    // Generate summary text
-    report.summary = generateReportSummary(report);
+    const sheet = ss.getSheetByName(CONFIG.SHEETS.GRADEBOOK) || ss.insertSheet(CONFIG.SHEETS.GRADEBOOK);
+    sheet.clear();
+    sheet.getRange(1, 1, grid.length, grid[0].length).setValues(grid);
+    sheet.getRange(1, 1, 1, grid[0].length)
+      .setFontWeight('bold')
+      .setBackground('#4285f4')
+      .setFontColor('white')
+      .setWrap(true);
+    sheet.getRange(1, 1).setNote('Generated ' + new Date().toLocaleString() +
+      ' scoring each student\'s ' + scoringPolicy + ' attempt against every question in the video.' +
+      ' Completion is the best reached; time spent adds up every attempt.');
+    sheet.setFrozenRows(1);
+    sheet.setFrozenColumns(1);
+    sheet.setColumnWidth(1, 250);
     
-    return report;
-  } catch (error) {
-    Logger.log("Error in getStudentReport: " + error.toString());
-    return { 
-      error: "Failed to generate student report: " + error.toString(),
-      summary: createDefaultReportSummary()
+    return {
+      success: true,
+      policy: scoringPolicy,
+      studentCount: grid.length - 1,
+      csv: toCsv(grid),
+      sheetUrl: ss.getUrl() + '#gid=' + sheet.getSheetId()
     };
+  } catch (error) {
+    Logger.log("Error in generateGradebook: " + error.toString());
+    return { error: "Failed to generate gradebook: " + error.toString() };
   }
 }
 
 /**
- * Creates default report summary if no data is available
- * @returns {Object} Default summary object
+ * Groups analytics rows by student, video and session. Each group's rows
+ * start with the sheet's header row, so buildStudentReport can read them
+ * like a whole sheet.
+ * @param {Array<Array>} analyticsData - Quiz Analytics sheet values, including the header row
+ * @param {Array<Array>} viewingData - User Data sheet values, including the header row
+ * @param {Array<Object>} videos - Video records; rows for other videos are left out
+ * @returns {Object} Sessions keyed by user, video and session ID: { userId,
+ *   video, sessionId, firstTime, lastTime (ms), analytics, viewing }
  */
-function createDefaultReportSummary() {
-  return {
-    title: "Activity Completed",
-    message: "You have completed this video activity.",
-    grade: "N/A",
-    feedback: "No quiz data available for this session."
+function groupSessionRows(analyticsData, viewingData, videos) {
+  const videosById = {};
+  const videosByTitle = {};
+  videos.forEach(video => {
+    videosById[video.id] = video;
+    videosByTitle[video.title] = video;
+  });
+  
+  const sessions = {};
+  const addRow = (key, row, userId, videoId, videoTitle, sessionId) => {
+    const video = videoId ? videosById[videoId] : videosByTitle[videoTitle];
+    if (!userId || !video) return;
+    
+    const sessionKey = [userId, video.id, sessionId].join('\n');
+    if (!sessions[sessionKey]) {
+      sessions[sessionKey] = {
+        userId: userId,
+        video: video,
+        sessionId: sessionId,
+        firstTime: null,
+        lastTime: null,
+        analytics: [analyticsData[0]],
+        viewing: [viewingData[0]]
+      };
+    }
+    
+    const session = sessions[sessionKey];
+    session[key].push(row);
+    
+    if (row[0] instanceof Date) {
+      const time = row[0].getTime();
+      session.firstTime = session.firstTime === null ? time : Math.min(session.firstTime, time);
+      session.lastTime = session.lastTime === null ? time : Math.max(session.lastTime, time);
+    }
   };
+  
+  // Skip header rows
+  for (let i = 1; i < analyticsData.length; i++) {
+    const row = analyticsData[i];
+    addRow('analytics', row, row[1], row[9], row[2], row[8]);
+  }
+  for (let i = 1; i < viewingData.length; i++) {
+    const row = viewingData[i];
+    addRow('viewing', row, row[2], row[8], row[3], row[1]);
+  }
+  
+  return sessions;
 }
 
 /**
- * Generates a human-readable summary from report data
- * @param {Object} report - The performance report data
- * @returns {Object} Summary object with title, message, grade, and feedback
+ * Works out how long a session lasted. Unfinished sessions have no end
+ * event, so their last activity is used instead.
+ * @param {Object} session - Session from groupSessionRows
+ * @param {Object} report - Student report for the session
+ * @returns {number} Time spent in seconds
  */
-function generateReportSummary(report) {
-  // Initialize summary
-  const summary = {
-    title: "Activity Completed",
-    message: `You have completed "${report.videoTitle}".`,
-    grade: "N/A",
-    feedback: ""
-  };
+function getSessionTimeSpent(session, report) {
+  return report.viewingStatistics.totalTimeSpent ||
+    (session.firstTime !== null ? (session.lastTime - session.firstTime) / 1000 : 0);
+}
+
+/**
+ * Parses a gradebook scoring policy
+ * @param {*} value - Policy name or setting value
+ * @returns {string} One of CONFIG.GRADEBOOK_POLICIES, or '' if not recognised
+ */
+function parseGradebookPolicy(value) {
+  const policy = value ? value.toString().trim().toLowerCase() : '';
+  return Object.values(CONFIG.GRADEBOOK_POLICIES).includes(policy) ? policy : '';
+}
+
+/**
+ * Picks the attempt whose score counts under a gradebook policy
+ * @param {Array<Object>} attempts - Scored attempts at one video
+ * @param {string} policy - One of CONFIG.GRADEBOOK_POLICIES
+ * @returns {Object|null} The attempt, or null if there are none
+ */
+function pickGradebookAttempt(attempts, policy) {
+  if (attempts.length === 0) return null;
   
-  // Add quiz performance data if available
-  if (report.quizPerformance.totalQuestions > 0) {
-    const accuracy = report.quizPerformance.accuracyPercentage.toFixed(1);
+  const byTime = attempts.slice().sort((a, b) => a.time - b.time);
+  
+  if (policy === CONFIG.GRADEBOOK_POLICIES.FIRST) {
+    return byTime[0];
+  }
+  if (policy === CONFIG.GRADEBOOK_POLICIES.LATEST) {
+    return byTime[byTime.length - 1];
+  }
+  return byTime.reduce((best, attempt) => attempt.score > best.score ? attempt : best);
+}
+
+/**
+ * Converts rows of values to CSV text
+ * @param {Array<Array>} rows - Rows of values
+ * @returns {string} CSV text
+ */
+function toCsv(rows) {
+  return rows.map(row => row.map(value => {
+    const text = value === null || value === undefined ? '' : value.toString();
+    return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+  }).join(',')).join('\r\n');
+}
+
+/**
+ * Updates application settings. Settings that already exist keep their row
+ * and description; unknown settings are added at the end.
+ * @param {Object} settings - Settings to change, keyed by setting name
+ * @returns {Object} Success message or error
+ */
+function updateAppSettings(settings) {
+  try {
+    const denied = checkTeacherAccess();
+    if (denied) return denied;
     
-    summary.grade = accuracy + "%";
+    const ss = SpreadsheetApp.getActive();
+    const settingsSheet = getOrCreateSheet(ss, CONFIG.SHEETS.SETTINGS, ['Setting', 'Value', 'Description']);
+    const settingsData = settingsSheet.getDataRange().getValues();
     
-    // Generate feedback based on performance
-    if (accuracy >= 90) {
-      summary.feedback = "Excellent work! You demonstrated a strong understanding of the material.";
-    } else if (accuracy >= 75) {
-      summary.feedback = "Good job! You have a solid grasp of most concepts.";
-    } else if (accuracy >= 60) {
-      summary.feedback = "You're on the right track, but may want to review the material again to strengthen your understanding.";
-    } else {
-      summary.feedback = "It looks like you might need to revisit this content. Consider rewatching the video and paying close attention to the key points.";
+    for (const setting in settings) {
+      const value = settings[setting].toString();
+      let rowIndex = -1;
+      
+      // Skip header row
+      for (let i = 1; i < settingsData.length; i++) {
+        if (settingsData[i][0] === setting) {
+          rowIndex = i;
+          break;
+        }
+      }
+      
+      if (rowIndex === -1) {
+        settingsSheet.appendRow([setting, value]);
+      } else {
+        settingsSheet.getRange(rowIndex + 1, 2).setValue(value);
+      }
     }
     
-    // Add detailed statistics
-    summary.message += ` You answered ${report.quizPerformance.correctAnswers} out of ${report.quizPerformance.totalQuestions} questions correctly.`;
-  } else {
-    summary.feedback = "No quiz data available for this session.";
-  }
-  
-  // Add note-taking info if applicable
-  if (report.notesCount > 0) {
-    summary.message += ` You took ${report.notesCount} note${report.notesCount !== 1 ? 's' : ''} during the video.`;
+    clearSheetCache(CONFIG.SHEETS.SETTINGS);
+    
+    return { success: true, message: "Settings updated successfully" };
+  } catch (error) {
+    Logger.log("Error in updateAppSettings: " + error.toString());
+    return { error: "Failed to update settings: " + error.toString() };
   }
-  
-  return summary;
 }
 
 /**
- * Generates quiz performance report for teacher view
- * @param {string} videoTitle - Optional: filter by video title
- * @returns {Object} Quiz performance data or error
+ * Moves sessions whose activity is all older than the ArchiveAfterDays
+ * setting to the archive spreadsheet, so reports only read recent data
+ * however long the app has been in use. Each archived session leaves a row
+ * in Session Summaries, which the dashboard and gradebook read in its
+ * place. Sessions with open responses awaiting a score stay, and so do the
+ * completion and playlist events other features depend on. Runs every
+ * night from the trigger installed by ensureArchiveTrigger.
+ * @param {Object} e - Time-driven trigger event, when run by the trigger
+ * @returns {Object} Rows moved per sheet and the archive URL, or error
  */
-function getQuizPerformanceReport(videoTitle = null) {
+function archiveOldAnalytics(e) {
   try {
-    const ss = SpreadsheetApp.getActive();
-    const analyticsSheet = ss.getSheetByName(CONFIG.SHEETS.QUIZ_ANALYTICS);
-    
-    if (!analyticsSheet) {
-      return { error: "No quiz analytics data available" };
+    // The web app can call any function, so only the installed trigger
+    // skips the teacher check
+    const isScheduled = e && e.triggerUid &&
+      ScriptApp.getProjectTriggers().some(trigger => trigger.getUniqueId() === e.triggerUid);
+    if (!isScheduled) {
+      const denied = checkTeacherAccess();
+      if (denied) return denied;
     }
     
-    const analyticsData = analyticsSheet.getDataRange().getValues();
-    const report = {
-      totalAttempts: 0,
-      correctAttempts: 0,
-      incorrectAttempts: 0,
-      averageTimeToAnswer: 0,
-      quizzesByOverlay: {},
-      userPerformance: {}
-    };
+    const days = parseFloat(getAppSettings().ArchiveAfterDays);
+    const archiveAfterDays = isNaN(days) ? getDefaultSettings().ArchiveAfterDays : days;
+    if (archiveAfterDays <= 0) {
+      return { success: true, archived: {}, message: "Archiving is turned off (ArchiveAfterDays is 0)" };
+    }
     
-    let totalTimeToAnswer = 0;
+    const cutoff = Date.now() - archiveAfterDays * 24 * 60 * 60 * 1000;
+    const ss = SpreadsheetApp.getActive();
+    const archive = getArchiveSpreadsheet();
+    const keptEvents = ['video_completed', 'playlist_part_passed'];
     
-    // Skip header row
-    for (let i = 1; i < analyticsData.length; i++) {
-      const row = analyticsData[i];
-      const rowVideoTitle = row[2];
+    // Hold the lock so no events are written while rows move
+    const lock = LockService.getScriptLock();
+    lock.waitLock(30000);
+    try {
+      const analyticsSheet = getOrCreateSheet(ss, CONFIG.SHEETS.QUIZ_ANALYTICS, CONFIG.HEADERS.QUIZ_ANALYTICS);
+      const userDataSheet = getOrCreateSheet(ss, CONFIG.SHEETS.USER_DATA, CONFIG.HEADERS.USER_DATA);
+      const analyticsData = analyticsSheet.getDataRange().getValues();
+      const viewingData = userDataSheet.getDataRange().getValues();
+      const isOld = row => row[0] instanceof Date && row[0].getTime() < cutoff;
       
-      // Skip if filtering by video title and this row doesn't match
-      if (videoTitle && rowVideoTitle !== videoTitle) {
-        continue;
-      }
+      // Sessions are archived whole, once all their activity is old and
+      // every answer is scored, so their summaries never need updating
+      const openSessions = new Set();
+      analyticsData.slice(1).forEach(row => {
+        if (!isOld(row) || readQuizAttempt(row).pendingReview) {
+          openSessions.add(row[1] + '\n' + row[8]);
+        }
+      });
+      viewingData.slice(1).forEach(row => {
+        if (!isOld(row)) {
+          openSessions.add(row[2] + '\n' + row[1]);
+        }
+      });
       
-      const userId = row[1];
-      const overlayId = row[3];
-      const wasCorrect = row[5] === true || row[5] === "TRUE";
-      const timeToAnswer = parseFloat(row[7]) || 0;
+      // Column B: User ID, Column I: Session ID
+      const isArchivedAnswer = row => isOld(row) && !openSessions.has(row[1] + '\n' + row[8]);
+      // Column C: User ID, Column B: Session ID
+      const isArchivedEvent = row => isOld(row) && !openSessions.has(row[2] + '\n' + row[1]);
       
-      // Update totals
-      report.totalAttempts++;
-      if (wasCorrect) {
-        report.correctAttempts++;
-      } else {
-        report.incorrectAttempts++;
+      // Summarise sessions that still have rows to move; the events kept
+      // behind belong to sessions summarised on an earlier run
+      const sessions = groupSessionRows(
+        [analyticsData[0]].concat(analyticsData.slice(1).filter(isArchivedAnswer)),
+        [viewingData[0]].concat(viewingData.slice(1).filter(isArchivedEvent)),
+        getVideoRecords() || []
+      );
+      const summaries = [];
+      for (const sessionKey in sessions) {
+        const session = sessions[sessionKey];
+        if (session.analytics.length > 1 || session.viewing.some((row, i) => i > 0 && !keptEvents.includes(row[4]))) {
+          summaries.push(buildSessionSummaryRow(session));
+        }
       }
+      appendRows(getOrCreateSheet(ss, CONFIG.SHEETS.SESSION_SUMMARIES, CONFIG.HEADERS.SESSION_SUMMARIES), summaries);
       
-      totalTimeToAnswer += timeToAnswer;
-      
-      // Update by overlay
-      if (!report.quizzesByOverlay[overlayId]) {
-        report.quizzesByOverlay[overlayId] = {
-          totalAttempts: 0,
-          correctAttempts: 0,
-          incorrectAttempts: 0
-        };
-      }
+      const archived = {};
       
-      report.quizzesByOverlay[overlayId].totalAttempts++;
-      if (wasCorrect) {
-        report.quizzesByOverlay[overlayId].correctAttempts++;
-      } else {
-        report.quizzesByOverlay[overlayId].incorrectAttempts++;
-      }
+      archived[CONFIG.SHEETS.QUIZ_ANALYTICS] = archiveSheetRows(
+        analyticsSheet,
+        getOrCreateSheet(archive, CONFIG.SHEETS.QUIZ_ANALYTICS, CONFIG.HEADERS.QUIZ_ANALYTICS),
+        analyticsData,
+        cutoff,
+        row => !isArchivedAnswer(row)
+      );
       
-      // Update by user
-      if (!report.userPerformance[userId]) {
-        report.userPerformance[userId] = {
-          totalAttempts: 0,
-          correctAttempts: 0,
-          incorrectAttempts: 0
-        };
-      }
+      archived[CONFIG.SHEETS.USER_DATA] = archiveSheetRows(
+        userDataSheet,
+        getOrCreateSheet(archive, CONFIG.SHEETS.USER_DATA, CONFIG.HEADERS.USER_DATA),
+        viewingData,
+        cutoff,
+        // Column E: Event Type
+        row => !isArchivedEvent(row) || keptEvents.includes(row[4])
+      );
       
-      report.userPerformance[userId].totalAttempts++;
-      if (wasCorrect) {
-        report.userPerformance[userId].correctAttempts++;
-      } else {
-        report.userPerformance[userId].incorrectAttempts++;
-      }
+      return { success: true, archived: archived, sessionCount: summaries.length, archiveUrl: archive.getUrl() };
+    } finally {
+      lock.releaseLock();
     }
-    
-    // Calculate averages
-    if (report.totalAttempts > 0) {
-      report.averageTimeToAnswer = totalTimeToAnswer / report.totalAttempts;
-      report.correctPercentage = (report.correctAttempts / report.totalAttempts) * 100;
-    }
-    
-    // Calculate percentages for each overlay and user
-    for (const overlayId in report.quizzesByOverlay) {
-      const overlay = report.quizzesByOverlay[overlayId];
-      if (overlay.totalAttempts > 0) {
-        overlay.correctPercentage = (overlay.correctAttempts / overlay.totalAttempts) * 100;
-      }
-    }
-    
-    for (const userId in report.userPerformance) {
-      const user = report.userPerformance[userId];
-      if (user.totalAttempts > 0) {
-        user.correctPercentage = (user.correctAttempts / user.totalAttempts) * 100;
-      }
-    }
-    
-    return report;
   } catch (error) {
-    Logger.log("Error in getQuizPerformanceReport: " + error.toString());
-    return { error: "Failed to generate report: " + error.toString() };
+    Logger.log("Error in archiveOldAnalytics: " + error.toString());
+    return { error: "Failed to archive analytics: " + error.toString() };
   }
 }
 
 /**
- * Updates application settings
- * @param {Object} settings - New settings object
- * @returns {Object} Success message or error
+ * Installs the nightly trigger that runs archiveOldAnalytics, once per
+ * spreadsheet, so the analytics sheets stay small without anyone having
+ * to remember to archive them
  */
-function updateAppSettings(settings) {
+function ensureArchiveTrigger() {
+  const properties = PropertiesService.getDocumentProperties();
+  if (properties.getProperty('archiveTriggerInstalled')) return;
+  
+  const lock = LockService.getScriptLock();
+  lock.waitLock(10000);
+  
   try {
-    const ss = SpreadsheetApp.getActive();
-    let settingsSheet = ss.getSheetByName(CONFIG.SHEETS.SETTINGS);
+    // Another page load may have installed it while this one waited
+    if (properties.getProperty('archiveTriggerInstalled')) return;
     
-    if (!settingsSheet) {
-      settingsSheet = ss.insertSheet(CONFIG.SHEETS.SETTINGS);
-      settingsSheet.appendRow(['Setting', 'Value', 'Description']);
+    const installed = ScriptApp.getProjectTriggers()
+      .some(trigger => trigger.getHandlerFunction() === 'archiveOldAnalytics');
+    if (!installed) {
+      ScriptApp.newTrigger('archiveOldAnalytics').timeBased().everyDays(1).atHour(2).create();
+    }
+    properties.setProperty('archiveTriggerInstalled', 'true');
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Gets the spreadsheet archived analytics are moved to, creating it the
+ * first time
+ * @returns {SpreadsheetApp.Spreadsheet} The archive spreadsheet
+ */
+function getArchiveSpreadsheet() {
+  const properties = PropertiesService.getDocumentProperties();
+  const archiveId = properties.getProperty('archiveSpreadsheetId');
+  
+  if (archiveId) {
+    try {
+      return SpreadsheetApp.openById(archiveId);
+    } catch (error) {
+      // The archive was deleted or can't be opened; start a new one
+      Logger.log("Error opening archive spreadsheet: " + error.toString());
+    }
+  }
+  
+  const archive = SpreadsheetApp.create(SpreadsheetApp.getActive().getName() + ' (Archive)');
+  properties.setProperty('archiveSpreadsheetId', archive.getId());
+  return archive;
+}
+
+/**
+ * Moves the rows of a sheet written before a cutoff to another sheet.
+ * Rows are appended in time order, so the old ones are all at the top.
+ * Callers hold the script lock.
+ * @param {Sheet} sheet - Sheet whose first column is the row timestamp
+ * @param {Sheet} archiveSheet - Sheet to move the rows to
+ * @param {Array<Array>} data - The sheet's values, including the header row
+ * @param {number} cutoff - Time in ms; older rows are moved
+ * @param {Function} keepRow - Returns true for old rows that must stay
+ * @returns {number} Number of rows moved
+ */
+function archiveSheetRows(sheet, archiveSheet, data, cutoff, keepRow) {
+  const rows = data.slice(1);
+  let oldCount = 0;
+  while (oldCount < rows.length && rows[oldCount][0] instanceof Date &&
+         rows[oldCount][0].getTime() < cutoff) {
+    oldCount++;
+  }
+  if (oldCount === 0) return 0;
+  
+  const oldRows = rows.slice(0, oldCount);
+  const moved = oldRows.filter(row => !keepRow(row));
+  const kept = oldRows.filter(row => keepRow(row));
+  if (moved.length === 0) return 0;
+  
+  appendRows(archiveSheet, moved);
+  
+  // Put the rows that stay back below the old block, then delete the block.
+  // Sheets can't delete every row under a frozen header, so leave a spare.
+  const lastRow = rows.length + 1;
+  if (kept.length > 0) {
+    sheet.insertRowsAfter(oldCount + 1, kept.length);
+    sheet.getRange(oldCount + 2, 1, kept.length, kept[0].length).setValues(kept);
+  } else if (oldCount === rows.length && sheet.getMaxRows() === lastRow) {
+    sheet.insertRowsAfter(lastRow, 1);
+  }
+  sheet.deleteRows(2, oldCount);
+  
+  return moved.length;
+}
+
+/**
+ * Builds the Session Summaries row that stands in for an archived session:
+ * its totals, plus per-question attempt counts and first tries for the
+ * dashboard's item analysis
+ * @param {Object} session - Session from groupSessionRows
+ * @returns {Array} Row values
+ */
+function buildSessionSummaryRow(session) {
+  const report = buildStudentReport(session.video, session.userId, session.sessionId,
+                                    session.analytics, session.viewing, [[]]);
+  const questionStats = {};
+  const getStats = overlayId => {
+    if (!questionStats[overlayId]) {
+      questionStats[overlayId] = { attempts: 0, correct: 0, time: 0, retries: 0, timesDrawn: 0, first: null };
     }
+    return questionStats[overlayId];
+  };
+  
+  session.analytics.slice(1).forEach(row => {
+    const attempt = readQuizAttempt(row);
+    const stats = getStats(attempt.overlayId);
     
-    // Clear existing settings
-    const lastRow = settingsSheet.getLastRow();
-    if (lastRow > 1) {
-      settingsSheet.deleteRows(2, lastRow - 1);
+    stats.attempts++;
+    stats.correct += attempt.wasCorrect ? 1 : 0;
+    stats.time += attempt.timeToAnswer;
+    stats.retries += attempt.attemptNumber > 1 ? 1 : 0;
+    if (!stats.first) {
+      stats.first = {
+        wasCorrect: attempt.wasCorrect,
+        score: attempt.score,
+        option: (attempt.selectedOption || attempt.responseText || '').toString()
+      };
+    }
+  });
+  
+  session.viewing.slice(1).forEach(row => {
+    const draw = row[4] === 'pool_drawn' ? parsePoolDraw(row) : null;
+    if (draw) {
+      draw.questionIds.forEach(overlayId => getStats(overlayId).timesDrawn++);
     }
+  });
+  
+  return [
+    new Date(session.lastTime),
+    session.userId,
+    session.video.title,
+    session.video.id,
+    session.sessionId,
+    new Date(session.firstTime),
+    report.quizPerformance.totalQuestions,
+    report.quizPerformance.totalScore,
+    report.viewingStatistics.completionPercentage,
+    getSessionTimeSpent(session, report),
+    report.viewingStatistics.completed,
+    JSON.stringify(questionStats)
+  ];
+}
+
+/**
+ * Reads the summaries of archived sessions, oldest session first. A session
+ * summarised twice (an archive run that failed part-way) keeps its first
+ * summary, which was built from all of its rows.
+ * @param {SpreadsheetApp.Spreadsheet} ss - The active spreadsheet
+ * @returns {Array<Object>} Summaries: { userId, videoTitle, videoId, sessionId,
+ *   firstTime, lastTime (ms), totalQuestions, totalScore, completionPercentage,
+ *   timeSpent (sec), completed, questionStats }
+ */
+function readSessionSummaries(ss) {
+  const sheet = ss.getSheetByName(CONFIG.SHEETS.SESSION_SUMMARIES);
+  if (!sheet || sheet.getLastRow() < 2) return [];
+  
+  const rows = sheet.getRange(2, 1, sheet.getLastRow() - 1, CONFIG.HEADERS.SESSION_SUMMARIES.length).getValues();
+  const seen = new Set();
+  const summaries = [];
+  
+  rows.forEach(row => {
+    const sessionKey = [row[1], row[3], row[4]].join('\n');
+    if (!row[1] || seen.has(sessionKey)) return;
+    seen.add(sessionKey);
     
-    // Add new settings
-    for (const setting in settings) {
-      settingsSheet.appendRow([setting, settings[setting].toString()]);
+    let questionStats = {};
+    try {
+      questionStats = JSON.parse(row[11] || '{}'); // Column L: Question Stats
+    } catch (error) {
+      Logger.log("Unreadable session summary for " + sessionKey.replace(/\n/g, ' ') + ": " + error.toString());
     }
     
-    return { success: true, message: "Settings updated successfully" };
-  } catch (error) {
-    Logger.log("Error in updateAppSettings: " + error.toString());
-    return { error: "Failed to update settings: " + error.toString() };
-  }
+    summaries.push({
+      userId: row[1],
+      videoTitle: row[2],
+      videoId: row[3],
+      sessionId: row[4],
+      firstTime: row[5] instanceof Date ? row[5].getTime() : 0,
+      lastTime: row[0] instanceof Date ? row[0].getTime() : 0,
+      totalQuestions: Number(row[6]) || 0,
+      totalScore: Number(row[7]) || 0,
+      completionPercentage: Number(row[8]) || 0,
+      timeSpent: Number(row[9]) || 0,
+      completed: row[10] === true || row[10] === 'TRUE',
+      questionStats: questionStats
+    });
+  });
+  
+  return summaries.sort((a, b) => a.firstTime - b.firstTime);
 }
 
 /**
@@ -977,4 +4210,51 @@ function extractYouTubeVideoId(url) {
   const match = url.match(/(?:youtube\.com\/(?:[^\/]+\/.+\/|(?:v|e(?:mbed)?)\/|.*[?&]v=)|youtu\.be\/)([^"&?\/\s]{11})/);
   
   return match ? match[1] : null;
+}
+
+/**
+ * Extracts a Google Drive file ID from a sharing or preview URL
+ * @param {string} url - The Drive URL
+ * @returns {string|null} The file ID or null if not a Drive file URL
+ */
+function extractDriveFileId(url) {
+  if (!url) return null;
+  
+  // Handle /file/d/ID/view links and ?id=ID links
+  const match = url.match(/drive\.google\.com\/(?:file\/d\/|(?:open|uc)\?(?:.*&)?id=)([\w-]{10,})/);
+  
+  return match ? match[1] : null;
+}
+
+/**
+ * Works out which kind of player a Video URL needs
+ * @param {string} url - Video URL from the Videos sheet
+ * @returns {Object|null} Source with type, id and playable url, or null if unsupported
+ */
+function getVideoSource(url) {
+  if (!url) return null;
+  url = url.toString().trim();
+  
+  const youtubeId = extractYouTubeVideoId(url);
+  if (youtubeId) {
+    return { type: CONFIG.VIDEO_SOURCES.YOUTUBE, id: youtubeId, url: url };
+  }
+  
+  // Drive files are streamed into a <video> element. The file must be
+  // shared with anyone who has the link for students to play it.
+  const driveId = extractDriveFileId(url);
+  if (driveId) {
+    return {
+      type: CONFIG.VIDEO_SOURCES.DRIVE,
+      id: driveId,
+      url: `https://drive.google.com/uc?export=download&id=${driveId}`
+    };
+  }
+  
+  // Direct links to video files play in a <video> element
+  if (/^https?:\/\/[^?#]+\.(mp4|webm|ogg|ogv|m4v|mov)([?#].*)?$/i.test(url)) {
+    return { type: CONFIG.VIDEO_SOURCES.HTML5, id: null, url: url };
+  }
+  
+  return null;
 }
\ No newline at end of file
@@ -15,10 +15,31 @@ function onOpen() {
     .addItem('Add Sample Data', 'addSampleData')
     .addItem('Reset Sheets to Default', 'resetSheets')
     .addItem('Configure Settings', 'showSettingsDialog')
+    .addItem('Validate Branching', 'showBranchingValidation')
+    .addItem('Generate Gradebook', 'showGradebook')
+    .addItem('Archive Old Analytics', 'showArchiveOldAnalytics')
     .addItem('Deploy Web App', 'showDeploymentInstructions')
     .addToUi();
 }
 
+/**
+ * Drops cached overlays and settings when their sheets are edited, and
+ * gives new or copied overlay rows their own Overlay ID (simple trigger)
+ * @param {Object} e - Edit event
+ */
+function onEdit(e) {
+  if (!e || !e.range) return;
+  
+  const sheetName = e.range.getSheet().getName();
+  if (sheetName === CONFIG.SHEETS.OVERLAYS || sheetName === CONFIG.SHEETS.VIDEOS || sheetName === CONFIG.SHEETS.SETTINGS) {
+    clearSheetCache(sheetName);
+  }
+  
+  if (sheetName !== CONFIG.SHEETS.OVERLAYS || e.range.getLastRow() < 2) return;
+  
+  assignMissingOverlayIds(e.source, e.range);
+}
+
 /**
  * Main function to setup the entire spreadsheet structure
  */
@@ -40,15 +61,21 @@ function setupSpreadsheet() {
   try {
     // Create/update all required sheets
     setupVideosSheet(ss);
+    setupPlaylistsSheet(ss);
     setupOverlaysSheet(ss);
     setupQuizOptionsSheet(ss);
     setupAnalyticsSheet(ss);
     setupUserDataSheet(ss);
+    setupProgressSheet(ss);
     setupSettingsSheet(ss);
+    setupTeachersSheet(ss);
     
     // Format the spreadsheet
     formatSpreadsheet(ss);
     
+    // Sheets were rewritten without edit events, so drop cached copies
+    clearSheetCache();
+    
     ui.alert('Setup Complete', 'The spreadsheet has been set up successfully!', ui.ButtonSet.OK);
   } catch (error) {
     ui.alert('Error', 'An error occurred during setup: ' + error.toString(), ui.ButtonSet.OK);
@@ -72,7 +99,8 @@ function setupVideosSheet(ss) {
 
   // Set column headers
   const headers = [
-    'Video Title', 'Video URL', 'Description', 'Active'
+    'Video Title', 'Video URL', 'Description', 'Active', 'Video ID',
+    'Start Time', 'End Time'
   ];
 
   const headerRange = sheet.getRange(1, 1, 1, headers.length);
@@ -86,6 +114,9 @@ function setupVideosSheet(ss) {
   sheet.setColumnWidth(2, 300); // Video URL
   sheet.setColumnWidth(3, 300); // Description
   sheet.setColumnWidth(4, 100); // Active
+  sheet.setColumnWidth(5, 150); // Video ID
+  sheet.setColumnWidth(6, 100); // Start Time
+  sheet.setColumnWidth(7, 100); // End Time
 
   // Add validation for Active column - CORRECTED LINE
   const activeValidation = SpreadsheetApp.newDataValidation()
@@ -96,13 +127,16 @@ function setupVideosSheet(ss) {
     .build();
   sheet.getRange('D2:D1000').setDataValidation(activeValidation);
 
+  // Keep clip times as typed, so Sheets doesn't read 3:00 as a time of day
+  sheet.getRange('F2:G1000').setNumberFormat('@');
+
   // Add helper text
   sheet.getRange('A2').setValue('Enter your video title here');
   sheet.getRange('B2').setValue('https://www.youtube.com/watch?v=...');
   sheet.getRange('C2').setValue('Brief description of the video');
   sheet.getRange('D2').setValue(true); // Set default value to TRUE (checked checkbox)
-  sheet.getRange('A2:D2').setBackground('#f1f8ff');
-  sheet.getRange('A2:D2').setFontStyle('italic');
+  sheet.getRange('A2:G2').setBackground('#f1f8ff');
+  sheet.getRange('A2:G2').setFontStyle('italic');
 
   // Freeze header row
   sheet.setFrozenRows(1);
@@ -112,7 +146,7 @@ function setupVideosSheet(ss) {
   const activeRule = SpreadsheetApp.newConditionalFormatRule()
     .whenFormulaSatisfied('=($D2=TRUE)') // Check if the cell in column D is TRUE
     .setBackground('#e6f4ea')
-    .setRanges([sheet.getRange('A2:D1000')]) // Apply to the whole row based on column D
+    .setRanges([sheet.getRange('A2:G1000')]) // Apply to the whole row based on column D
     .build();
 
   const rules = sheet.getConditionalFormatRules();
@@ -124,14 +158,74 @@ function setupVideosSheet(ss) {
   sheet.setConditionalFormatRules(rules);
 
   // Add instructions
-  sheet.getRange('F1').setValue('INSTRUCTIONS:');
-  sheet.getRange('F1').setFontWeight('bold');
-  sheet.getRange('F2').setValue('1. Enter your YouTube video information in the columns to the left.');
-  sheet.getRange('F3').setValue('2. The first video with the "Active" box checked (TRUE) will be used in the web app.'); // Updated instruction text
-  sheet.getRange('F4').setValue('3. After entering a video, go to the "Overlays" tab to add interaction points.');
-  sheet.getRange('F2:F10').setWrapStrategy(SpreadsheetApp.WrapStrategy.WRAP);
-  sheet.setColumnWidth(6, 400);
+  sheet.getRange('H1').setValue('INSTRUCTIONS:');
+  sheet.getRange('H1').setFontWeight('bold');
+  sheet.getRange('H2').setValue('1. Enter your video information in the columns to the left. Video URL can be a YouTube link, a Google Drive file link (shared with "Anyone with the link"), or a direct link to an MP4 or WebM file.');
+  sheet.getRange('H3').setValue('2. Every video with the "Active" box checked (TRUE) is listed in the web app catalog. Link straight to one with ?video=<Video ID> after the web app URL.');
+  sheet.getRange('H4').setValue('3. Video ID is filled in automatically when left blank. Keep it unchanged once students have used the video.');
+  sheet.getRange('H5').setValue('4. Start Time and End Time (optional) play only part of the video, e.g. 3:00 to 11:00. Use seconds, mm:ss or hh:mm:ss. Overlays outside the clip are not shown.');
+  sheet.getRange('H6').setValue('5. After entering a video, go to the "Overlays" tab to add interaction points.');
+  sheet.getRange('H2:H10').setWrapStrategy(SpreadsheetApp.WrapStrategy.WRAP);
+  sheet.setColumnWidth(8, 400);
 }
+/**
+ * Sets up the Playlists sheet, which chains videos into multi-part lessons
+ * @param {SpreadsheetApp.Spreadsheet} ss - The active spreadsheet
+ */
+function setupPlaylistsSheet(ss) {
+  // Get or create Playlists sheet
+  let sheet = ss.getSheetByName('Playlists');
+  if (!sheet) {
+    sheet = ss.insertSheet('Playlists');
+  }
+  
+  // Clear existing content
+  sheet.clear();
+  
+  // Set column headers
+  const headers = CONFIG.HEADERS.PLAYLISTS;
+  
+  const headerRange = sheet.getRange(1, 1, 1, headers.length);
+  headerRange.setValues([headers]);
+  headerRange.setFontWeight('bold');
+  headerRange.setBackground('#4285f4');
+  headerRange.setFontColor('white');
+  
+  // Set column widths
+  sheet.setColumnWidth(1, 150); // Playlist ID
+  sheet.setColumnWidth(2, 250); // Playlist Title
+  sheet.setColumnWidth(3, 60);  // Part
+  sheet.setColumnWidth(4, 150); // Video ID
+  sheet.setColumnWidth(5, 120); // To Continue
+  
+  // Video ID dropdown (based on Videos sheet); titles are accepted too
+  const videoIdValidation = SpreadsheetApp.newDataValidation()
+    .requireValueInRange(ss.getRange('Videos!$E$2:$E$1000'), true)
+    .setAllowInvalid(true)
+    .build();
+  sheet.getRange('D2:D1000').setDataValidation(videoIdValidation);
+  
+  // Part must be a number
+  const partValidation = SpreadsheetApp.newDataValidation()
+    .requireNumberGreaterThanOrEqualTo(1)
+    .setAllowInvalid(false)
+    .build();
+  sheet.getRange('C2:C1000').setDataValidation(partValidation);
+  
+  // Freeze header row
+  sheet.setFrozenRows(1);
+  
+  // Add instructions
+  sheet.getRange('G1').setValue('INSTRUCTIONS:');
+  sheet.getRange('G1').setFontWeight('bold');
+  sheet.getRange('G2').setValue('1. Add one row per part. Rows with the same Playlist ID make up one playlist, played in order of Part.');
+  sheet.getRange('G3').setValue('2. Video ID must be an active video from the Videos tab.');
+  sheet.getRange('G4').setValue('3. To Continue: leave blank (or "complete") to unlock the next part once this one is finished, or enter a minimum score, e.g. 70, that the student must reach.');
+  sheet.getRange('G5').setValue('4. Share a playlist with ?playlist=<Playlist ID> after the web app URL. Playlists also appear in the activity catalog.');
+  sheet.getRange('G2:G10').setWrapStrategy(SpreadsheetApp.WrapStrategy.WRAP);
+  sheet.setColumnWidth(7, 400);
+}
+
 /**
  * Sets up the Overlays sheet with appropriate columns and validations
  * @param {SpreadsheetApp.Spreadsheet} ss - The active spreadsheet
@@ -152,7 +246,8 @@ function setupOverlaysSheet(ss) {
     'Interaction Type', 'Next Action', 'Correct Answer', 
     'Incorrect Answer 1', 'Incorrect Answer 2', 'Incorrect Answer 3',
     'Group Name', 'Explanation', 'Correct Feedback', 'Incorrect Feedback',
-    'Image URL', 'Image Width', 'Image Height'
+    'Image URL', 'Image Width', 'Image Height', 'Video ID', 'Scoring',
+    'Max Attempts', 'Draw Count', 'Overlay ID'
   ];
   
   const headerRange = sheet.getRange(1, 1, 1, headers.length);
@@ -179,6 +274,11 @@ function setupOverlaysSheet(ss) {
   sheet.setColumnWidth(15, 250); // Image URL
   sheet.setColumnWidth(16, 100); // Image Width
   sheet.setColumnWidth(17, 100); // Image Height
+  sheet.setColumnWidth(18, 150); // Video ID
+  sheet.setColumnWidth(19, 130); // Scoring
+  sheet.setColumnWidth(20, 110); // Max Attempts
+  sheet.setColumnWidth(21, 100); // Draw Count
+  sheet.setColumnWidth(22, 120); // Overlay ID
   
   // Add data validations
   
@@ -194,7 +294,7 @@ function setupOverlaysSheet(ss) {
   }
   
   // Interaction Type dropdown
-  const interactionTypes = ['info', 'quiz', 'true_false', 'matching'];
+  const interactionTypes = ['info', 'quiz', 'true_false', 'matching', 'multi_select', 'short_answer', 'open_response', 'question_pool'];
   const interactionTypeValidation = SpreadsheetApp.newDataValidation()
     .requireValueInList(interactionTypes, true)
     .setAllowInvalid(false)
@@ -202,69 +302,121 @@ function setupOverlaysSheet(ss) {
   sheet.getRange('E2:E1000').setDataValidation(interactionTypeValidation);
   
   // Next Action dropdown
-  const nextActions = ['continue', 'next_question', 'if_correct', 'if_incorrect', 'end'];
+  // Actions that take a timestamp (e.g. if_correct:45) are typed in, so
+  // values outside the list are allowed
+  const nextActions = ['continue', 'next_question', 'if_correct', 'if_incorrect', 'review_and_retry', 'end'];
   const nextActionValidation = SpreadsheetApp.newDataValidation()
     .requireValueInList(nextActions, true)
-    .setAllowInvalid(false)
+    .setAllowInvalid(true)
+    .setHelpText('Choose an action, type one with a timestamp such as review_and_retry:30, or branch with routes such as correct -> Deep Dive; incorrect -> 45')
     .build();
   sheet.getRange('F2:F1000').setDataValidation(nextActionValidation);
   
+  // Scoring dropdown (blank uses the DefaultScoring setting)
+  const scoringValidation = SpreadsheetApp.newDataValidation()
+    .requireValueInList(['partial', 'all_or_nothing'], true)
+    .setAllowInvalid(false)
+    .build();
+  sheet.getRange('S2:S1000').setDataValidation(scoringValidation);
+
+  // Keep timestamps as typed, so Sheets doesn't read 1:30 as a time of day
+  sheet.getRange('B2:B1000').setNumberFormat('@');
+  
+  // Max Attempts and Draw Count must be numbers (blank uses the default)
+  const maxAttemptsValidation = SpreadsheetApp.newDataValidation()
+    .requireNumberGreaterThanOrEqualTo(0)
+    .setAllowInvalid(false)
+    .build();
+  sheet.getRange('T2:T1000').setDataValidation(maxAttemptsValidation);
+  sheet.getRange('U2:U1000').setDataValidation(maxAttemptsValidation);
+  
   // Freeze header row
   sheet.setFrozenRows(1);
   
   // Add conditional formatting to highlight different interaction types
+  const dataRange = sheet.getRange(2, 1, 999, headers.length);
   const infoRule = SpreadsheetApp.newConditionalFormatRule()
     .whenFormulaSatisfied('=$E1="info"')
     .setBackground('#e6f4ea')
-    .setRanges([sheet.getRange('A2:Q1000')])
+    .setRanges([dataRange])
     .build();
   
   const quizRule = SpreadsheetApp.newConditionalFormatRule()
     .whenFormulaSatisfied('=$E1="quiz"')
     .setBackground('#fce8e6')
-    .setRanges([sheet.getRange('A2:Q1000')])
+    .setRanges([dataRange])
     .build();
   
   const trueFalseRule = SpreadsheetApp.newConditionalFormatRule()
     .whenFormulaSatisfied('=$E1="true_false"')
     .setBackground('#fff7e6')
-    .setRanges([sheet.getRange('A2:Q1000')])
+    .setRanges([dataRange])
     .build();
   
   const matchingRule = SpreadsheetApp.newConditionalFormatRule()
     .whenFormulaSatisfied('=$E1="matching"')
     .setBackground('#e6f4ff')
-    .setRanges([sheet.getRange('A2:Q1000')])
+    .setRanges([dataRange])
+    .build();
+  
+  const multiSelectRule = SpreadsheetApp.newConditionalFormatRule()
+    .whenFormulaSatisfied('=$E1="multi_select"')
+    .setBackground('#f3e8fd')
+    .setRanges([dataRange])
+    .build();
+  
+  const writtenResponseRule = SpreadsheetApp.newConditionalFormatRule()
+    .whenFormulaSatisfied('=OR($E1="short_answer",$E1="open_response")')
+    .setBackground('#fef7e0')
+    .setRanges([dataRange])
     .build();
   
   const rules = sheet.getConditionalFormatRules();
-  rules.push(infoRule, quizRule, trueFalseRule, matchingRule);
+  rules.push(infoRule, quizRule, trueFalseRule, matchingRule, multiSelectRule, writtenResponseRule);
   sheet.setConditionalFormatRules(rules);
   
-  // Add instructions
-  sheet.getRange('S1').setValue('INSTRUCTIONS:');
-  sheet.getRange('S1').setFontWeight('bold');
-  sheet.getRange('S2').setValue('1. Video Title: Select from dropdown (must be added to Videos tab first)');
-  sheet.getRange('S3').setValue('2. Timestamp: Enter seconds when overlay should appear (e.g., 30 for 0:30)');
-  sheet.getRange('S4').setValue('3. Interaction Type: Choose the type of interaction');
-  sheet.getRange('S5').setValue('   - info: Simple information display');
-  sheet.getRange('S6').setValue('   - quiz: Multiple choice question');
-  sheet.getRange('S7').setValue('   - true_false: True/False question');
-  sheet.getRange('S8').setValue('   - matching: Matching options question');
-  sheet.getRange('S9').setValue('4. Next Action: What happens after this overlay');
-  sheet.getRange('S10').setValue('   - continue: Continue playing the video (default)');
-  sheet.getRange('S11').setValue('   - next_question: Go to next question in sequence');
-  sheet.getRange('S12').setValue('   - if_correct: Custom logic based on correct/incorrect answer');
-  sheet.getRange('S13').setValue('   - if_incorrect: Custom logic based on correct/incorrect answer');
-  sheet.getRange('S14').setValue('   - end: End the video and show the summary report');
-  sheet.getRange('S15').setValue('5. For quizzes, enter correct answer(s) and incorrect options');
-  sheet.getRange('S16').setValue('   - Multiple correct answers can be separated with pipe symbol (|)');
-  sheet.getRange('S17').setValue('6. Group Name: Optionally group related overlays together');
-  sheet.getRange('S18').setValue('7. Explanation: Additional context shown after answering');
-  sheet.getRange('S19').setValue('8. Image URL: Optional image to display in the overlay');
-  
-  sheet.getRange('S1:S30').setWrapStrategy(SpreadsheetApp.WrapStrategy.WRAP);
-  sheet.setColumnWidth(19, 400);
+  // Add instructions beside the last column so they never overlap overlay data
+  const instructions = [
+    'INSTRUCTIONS:',
+    '1. Video Title: Select from dropdown (must be added to Videos tab first)',
+    '2. Timestamp: When the overlay should appear, as seconds (30 or 12.5), mm:ss (1:30) or hh:mm:ss (1:02:30)',
+    '3. Interaction Type: Choose the type of interaction',
+    '   - info: Simple information display',
+    '   - quiz: Multiple choice question',
+    '   - true_false: True/False question; enter TRUE or FALSE in Correct Answer',
+    '   - matching: Match terms to definitions. Enter pairs as term=definition separated by | in Correct Answer; Incorrect Answer columns add extra definitions. Partially correct answers earn partial credit',
+    '   - multi_select: Select all that apply. Enter every correct answer in Correct Answer separated by |',
+    '   - short_answer: Typed answer. Enter accepted answers in Correct Answer separated by |. Matching ignores case and extra spaces; use /pattern/ for a regular expression (a | inside it is part of the pattern) or 9.8±0.1 for a number with a tolerance',
+    '   - open_response: Free-text answer saved ungraded; score it from the teacher dashboard',
+    '   - question_pool: Checkpoint that asks questions drawn at random from its Group Name. Questions in that group are only asked when drawn, never at their own timestamp',
+    '4. Next Action: What happens after this overlay',
+    '   - continue: Continue playing the video (default)',
+    '   - next_question: Go to next question in sequence',
+    '   - if_correct:45: Jump to 45 seconds after a correct answer',
+    '   - if_incorrect:45: Jump to 45 seconds after an incorrect answer',
+    '   - review_and_retry:30: After an incorrect answer, rewatch from 30 seconds and answer the question again',
+    '   - Branch routes: outcome -> target pairs separated by ;, e.g. correct -> Deep Dive; incorrect -> 45; "Mitochondria" -> Cell Energy',
+    '     Outcomes: correct, incorrect, otherwise, or an answer option in quotes. Targets: an Overlay Title, a timestamp, continue or end',
+    '     Use Video Overlay App > Validate Branching to check for missing targets and endless loops',
+    '   - end: End the video and show the summary report',
+    '5. For quizzes, enter correct answer(s) and incorrect options',
+    '   - Multiple correct answers can be separated with pipe symbol (|)',
+    '6. Group Name: Optionally group related overlays together',
+    '7. Explanation: Additional context shown after answering',
+    '8. Image URL: Optional image to display in the overlay',
+    '9. Video ID: Filled in from the Videos tab automatically; keeps overlays linked if the video is renamed',
+    '10. Scoring: partial (default) gives credit for each correct match or selection; all_or_nothing only scores fully correct answers. Leave blank to use the DefaultScoring setting',
+    '11. Max Attempts: Tries allowed at this question when RequireCorrectAnswers is on (0 for unlimited). Leave blank to use the MaxAttempts setting',
+    '12. Draw Count: For question_pool checkpoints, how many questions to draw from the group (blank draws them all). Each session gets its own random selection',
+    '13. Overlay ID: Filled in automatically and keeps analytics linked to the right overlay when rows are moved or sorted. Don\'t change it; copied rows get a new ID'
+  ];
+  const instructionsColumn = headers.length + 2;
+  
+  sheet.getRange(1, instructionsColumn, instructions.length, 1)
+    .setValues(instructions.map(line => [line]));
+  sheet.getRange(1, instructionsColumn).setFontWeight('bold');
+  sheet.getRange(1, instructionsColumn, instructions.length, 1).setWrapStrategy(SpreadsheetApp.WrapStrategy.WRAP);
+  sheet.setColumnWidth(instructionsColumn, 400);
 }
 
 /**
@@ -317,11 +469,7 @@ function setupAnalyticsSheet(ss) {
   sheet.clear();
   
   // Set column headers
-  const headers = [
-    'Timestamp', 'User ID', 'Video Title', 'Overlay ID', 
-    'Quiz Type', 'Was Correct', 'Selected Option', 
-    'Time to Answer (sec)', 'Session ID'
-  ];
+  const headers = CONFIG.HEADERS.QUIZ_ANALYTICS;
   
   const headerRange = sheet.getRange(1, 1, 1, headers.length);
   headerRange.setValues([headers]);
@@ -351,10 +499,7 @@ function setupUserDataSheet(ss) {
   sheet.clear();
   
   // Set column headers
-  const headers = [
-    'Timestamp', 'Session ID', 'User ID', 'Video Title',
-    'Event Type', 'Event Data', 'Browser', 'Device'
-  ];
+  const headers = CONFIG.HEADERS.USER_DATA;
   
   const headerRange = sheet.getRange(1, 1, 1, headers.length);
   headerRange.setValues([headers]);
@@ -369,6 +514,34 @@ function setupUserDataSheet(ss) {
   sheet.getRange(1, 1, 1, headers.length).createFilter();
 }
 
+/**
+ * Sets up the Progress sheet, where each student's place in each video is
+ * saved so they can resume it later
+ * @param {SpreadsheetApp.Spreadsheet} ss - The active spreadsheet
+ */
+function setupProgressSheet(ss) {
+  // Get or create Progress sheet
+  let sheet = ss.getSheetByName('Progress');
+  if (!sheet) {
+    sheet = ss.insertSheet('Progress');
+  }
+  
+  // Clear existing content
+  sheet.clear();
+  
+  // Set column headers
+  const headers = CONFIG.HEADERS.PROGRESS;
+  
+  const headerRange = sheet.getRange(1, 1, 1, headers.length);
+  headerRange.setValues([headers]);
+  headerRange.setFontWeight('bold');
+  headerRange.setBackground('#4285f4');
+  headerRange.setFontColor('white');
+  
+  // Freeze header row
+  sheet.setFrozenRows(1);
+}
+
 /**
  * Sets up the Settings sheet for application configuration
  * @param {SpreadsheetApp.Spreadsheet} ss - The active spreadsheet
@@ -394,7 +567,7 @@ function setupSettingsSheet(ss) {
   
   // Default settings
   const settings = [
-    ['TeacherModeEnabled', 'TRUE', 'Enable teacher mode toggle in the web app'],
+    ['TeacherModeEnabled', 'TRUE', 'Enable teacher mode toggle in the web app (for users listed in the Teachers sheet)'],
     ['AllowNotes', 'TRUE', 'Allow students to take notes during the video'],
     ['ShowProgressBar', 'TRUE', 'Show progress bar with overlay markers'],
     ['ShowStudentReport', 'TRUE', 'Show performance report at the end of the video'],
@@ -402,7 +575,13 @@ function setupSettingsSheet(ss) {
     ['SecondaryColor', '#34a853', 'Secondary theme color (hex code)'],
     ['AllowSkipping', 'FALSE', 'Allow students to skip ahead in the video'],
     ['RequireCorrectAnswers', 'FALSE', 'Require correct answers to continue'],
-    ['ShowCorrectAnswers', 'TRUE', 'Show correct answers after quiz attempt']
+    ['ShowCorrectAnswers', 'TRUE', 'Show correct answers after quiz attempt'],
+    ['DefaultScoring', 'partial', 'Scoring for matching and multi-select questions: partial or all_or_nothing'],
+    ['MaxAttempts', 3, 'Tries allowed per question when RequireCorrectAnswers is on (0 for unlimited)'],
+    ['RemoveWrongOptions', 'TRUE', 'Remove a wrong option before the student tries again'],
+    ['AfterMaxAttempts', 'show_answer', 'After the last try: show_answer or rewind to replay the section'],
+    ['GradebookPolicy', 'best', 'Which attempt at a video the gradebook scores: first, best or latest'],
+    ['ArchiveAfterDays', 180, 'Every night, sessions older than this many days move to the archive spreadsheet, leaving a summary row behind (0 to keep everything)']
   ];
   
   sheet.getRange(2, 1, settings.length, 3).setValues(settings);
@@ -415,7 +594,7 @@ function setupSettingsSheet(ss) {
   // Add data validation for boolean settings
   const booleanSettings = ['TeacherModeEnabled', 'AllowNotes', 'ShowProgressBar', 
                            'ShowStudentReport', 'AllowSkipping', 'RequireCorrectAnswers',
-                           'ShowCorrectAnswers'];
+                           'ShowCorrectAnswers', 'RemoveWrongOptions'];
   
   for (let i = 0; i < settings.length; i++) {
     if (booleanSettings.includes(settings[i][0])) {
@@ -425,12 +604,87 @@ function setupSettingsSheet(ss) {
         .build();
       sheet.getRange(i + 2, 2).setDataValidation(validation);
     }
+    
+    if (settings[i][0] === 'DefaultScoring') {
+      const validation = SpreadsheetApp.newDataValidation()
+        .requireValueInList(['partial', 'all_or_nothing'], true)
+        .setAllowInvalid(false)
+        .build();
+      sheet.getRange(i + 2, 2).setDataValidation(validation);
+    }
+    
+    if (settings[i][0] === 'MaxAttempts' || settings[i][0] === 'ArchiveAfterDays') {
+      const validation = SpreadsheetApp.newDataValidation()
+        .requireNumberGreaterThanOrEqualTo(0)
+        .setAllowInvalid(false)
+        .build();
+      sheet.getRange(i + 2, 2).setDataValidation(validation);
+    }
+    
+    if (settings[i][0] === 'AfterMaxAttempts') {
+      const validation = SpreadsheetApp.newDataValidation()
+        .requireValueInList(['show_answer', 'rewind'], true)
+        .setAllowInvalid(false)
+        .build();
+      sheet.getRange(i + 2, 2).setDataValidation(validation);
+    }
+    
+    if (settings[i][0] === 'GradebookPolicy') {
+      const validation = SpreadsheetApp.newDataValidation()
+        .requireValueInList(['first', 'best', 'latest'], true)
+        .setAllowInvalid(false)
+        .build();
+      sheet.getRange(i + 2, 2).setDataValidation(validation);
+    }
   }
   
   // Freeze header row
   sheet.setFrozenRows(1);
 }
 
+/**
+ * Sets up the Teachers sheet listing who may use teacher features
+ * @param {SpreadsheetApp.Spreadsheet} ss - The active spreadsheet
+ */
+function setupTeachersSheet(ss) {
+  // Get or create Teachers sheet
+  let sheet = ss.getSheetByName('Teachers');
+  if (!sheet) {
+    sheet = ss.insertSheet('Teachers');
+  }
+  
+  // Keep existing teachers, only refresh the header row
+  const headers = CONFIG.HEADERS.TEACHERS;
+  
+  const headerRange = sheet.getRange(1, 1, 1, headers.length);
+  headerRange.setValues([headers]);
+  headerRange.setFontWeight('bold');
+  headerRange.setBackground('#4285f4');
+  headerRange.setFontColor('white');
+  
+  // Add the person running setup as the first teacher
+  const email = Session.getEffectiveUser().getEmail();
+  if (sheet.getLastRow() < 2 && email) {
+    sheet.getRange(2, 1, 1, 2).setValues([[email, 'Spreadsheet owner']]);
+  }
+  
+  // Set column widths
+  sheet.setColumnWidth(1, 250); // Email
+  sheet.setColumnWidth(2, 200); // Name
+  
+  // Freeze header row
+  sheet.setFrozenRows(1);
+  
+  // Add instructions
+  sheet.getRange('D1').setValue('INSTRUCTIONS:');
+  sheet.getRange('D1').setFontWeight('bold');
+  sheet.getRange('D2').setValue('1. List the school email address of every teacher who may open the Teacher Dashboard.');
+  sheet.getRange('D3').setValue('2. The spreadsheet owner always has teacher access.');
+  sheet.getRange('D4').setValue('3. Students are never shown teacher features, even when TeacherModeEnabled is TRUE.');
+  sheet.getRange('D2:D10').setWrapStrategy(SpreadsheetApp.WrapStrategy.WRAP);
+  sheet.setColumnWidth(4, 400);
+}
+
 /**
  * Adds sample data to the spreadsheet
  */
@@ -457,6 +711,7 @@ function addSampleData() {
       videosSheet.getRange('B2').setValue('https://www.youtube.com/watch?v=dQw4w9WgXcQ');
       videosSheet.getRange('C2').setValue('A sample video to test the interactive overlay functionality');
       videosSheet.getRange('D2').setValue('TRUE');
+      videosSheet.getRange('E2').setValue('sample-tutorial');
     }
     
     // Add sample overlays
@@ -505,6 +760,16 @@ function addSampleData() {
       overlaysSheet.getRange('G5').setValue('Yes, tell me more');
       overlaysSheet.getRange('H5').setValue('No, continue with the video');
       
+      // Matching question
+      overlaysSheet.getRange('A7').setValue('Sample Tutorial');
+      overlaysSheet.getRange('B7').setValue(27);
+      overlaysSheet.getRange('C7').setValue('Match the Terms');
+      overlaysSheet.getRange('D7').setValue('Match each term with its definition.');
+      overlaysSheet.getRange('E7').setValue('matching');
+      overlaysSheet.getRange('F7').setValue('continue');
+      overlaysSheet.getRange('G7').setValue('Overlay=A panel shown over the video|Timestamp=The moment an overlay appears|Branch=A path chosen by your answer');
+      overlaysSheet.getRange('H7').setValue('A list of every video in the course');
+      
       // Final question with end action
       overlaysSheet.getRange('A6').setValue('Sample Tutorial');
       overlaysSheet.getRange('B6').setValue(30);
@@ -516,8 +781,13 @@ function addSampleData() {
       overlaysSheet.getRange('H6').setValue('An incorrect interpretation');
       overlaysSheet.getRange('I6').setValue('Another incorrect option');
       overlaysSheet.getRange('L6').setValue('The main takeaway helps synthesize the key concepts presented throughout the video.');
+      
+      // Give the sample overlays their Overlay IDs
+      assignMissingOverlayIds(ss);
     }
     
+    clearSheetCache();
+    
     ui.alert('Sample Data Added', 'Sample data has been added to the spreadsheet!', ui.ButtonSet.OK);
   } catch (error) {
     ui.alert('Error', 'An error occurred while adding sample data: ' + error.toString(), ui.ButtonSet.OK);
@@ -578,6 +848,111 @@ function showSettingsDialog() {
   SpreadsheetApp.getUi().showModalDialog(html, 'Settings Configuration');
 }
 
+/**
+ * Checks every video's branch routes and shows any problems found
+ */
+function showBranchingValidation() {
+  const ui = SpreadsheetApp.getUi();
+  const result = validateBranching();
+  
+  if (result.error) {
+    ui.alert('Error', result.error, ui.ButtonSet.OK);
+    return;
+  }
+  
+  if (result.valid) {
+    ui.alert('Validate Branching', 'No problems found. Every branch target exists and no loop traps students.', ui.ButtonSet.OK);
+    return;
+  }
+  
+  const report = result.videos.map(video =>
+    video.videoTitle + ':\n' + video.problems.map(problem => '  - ' + problem).join('\n')
+  ).join('\n\n');
+  
+  ui.alert('Branching Problems', report, ui.ButtonSet.OK);
+}
+
+/**
+ * Writes the Gradebook sheet using the GradebookPolicy setting, then
+ * offers it as a CSV download
+ */
+function showGradebook() {
+  const ui = SpreadsheetApp.getUi();
+  const result = generateGradebook();
+  
+  if (result.error) {
+    ui.alert('Error', result.error, ui.ButtonSet.OK);
+    return;
+  }
+  
+  SpreadsheetApp.getActive().getSheetByName('Gradebook').activate();
+  
+  // Escape "<" so the CSV can't close the script tag it is embedded in
+  const csv = JSON.stringify(result.csv).replace(/</g, '\\u003c');
+  const html = HtmlService.createHtmlOutput(`
+    <h2>Gradebook Ready</h2>
+    <p>The Gradebook sheet lists ${result.studentCount} students, scoring each one's ${result.policy} attempt at every video.</p>
+    <p>To score a different attempt, change GradebookPolicy in the Settings sheet and generate it again.</p>
+    <button onclick="downloadCsv()">Download CSV</button>
+    <button onclick="google.script.host.close()">Close</button>
+    <script>
+      function downloadCsv() {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([${csv}], { type: 'text/csv' }));
+        link.download = 'gradebook.csv';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+      }
+    </script>
+  `)
+    .setWidth(450)
+    .setHeight(250);
+  
+  ui.showModalDialog(html, 'Generate Gradebook');
+}
+
+/**
+ * Moves old analytics to the archive spreadsheet now, rather than waiting
+ * for the nightly run, after confirming, and reports how many rows were moved
+ */
+function showArchiveOldAnalytics() {
+  const ui = SpreadsheetApp.getUi();
+  const days = getAppSettings().ArchiveAfterDays;
+  
+  const response = ui.alert(
+    'Archive Old Analytics',
+    'This will move sessions older than ' + days + ' days (the ArchiveAfterDays setting) to a separate ' +
+    'archive spreadsheet, so reports stay fast. This also happens every night. Each session leaves a row in ' +
+    'Session Summaries, so dashboard totals and the gradebook still count it; its viewing details and ' +
+    'timeline stay in the archive. Completions, playlist progress and unscored open responses are kept. Continue?',
+    ui.ButtonSet.YES_NO
+  );
+  
+  if (response !== ui.Button.YES) {
+    return;
+  }
+  
+  const result = archiveOldAnalytics();
+  
+  if (result.error) {
+    ui.alert('Error', result.error, ui.ButtonSet.OK);
+    return;
+  }
+  
+  if (!result.archiveUrl) {
+    ui.alert('Archive Old Analytics', result.message, ui.ButtonSet.OK);
+    return;
+  }
+  
+  const counts = Object.keys(result.archived).map(sheetName =>
+    '  - ' + sheetName + ': ' + result.archived[sheetName] + ' rows'
+  ).join('\n');
+  
+  ui.alert('Archive Complete', 'Moved to the archive:\n' + counts + '\n\nSessions summarised: ' + result.sessionCount +
+    '\n\nArchive: ' + result.archiveUrl, ui.ButtonSet.OK);
+}
+
 /**
  * Shows instructions for deploying the web app
  */
@@ -591,7 +966,7 @@ function showDeploymentInstructions() {
         <ul>
           <li>Description: "Interactive Video Overlay Tool"</li>
           <li>Execute as: "Me" (or your account)</li>
-          <li>Who has access: Choose appropriate option (e.g., "Anyone" or "Anyone within [your domain]")</li>
+          <li>Who has access: "Anyone within [your domain]" (students must be signed in for their results to be recorded under their own account)</li>
         </ul>
       </li>
       <li>Click "Deploy" and authorize the app</li>
@@ -619,7 +994,7 @@ function formatSpreadsheet(ss) {
   );
   
   // Set the order of sheets
-  const sheetsOrder = ['Videos', 'Overlays', 'Quiz Options', 'Settings', 'Quiz Analytics', 'User Data'];
+  const sheetsOrder = ['Videos', 'Playlists', 'Overlays', 'Quiz Options', 'Settings', 'Teachers', 'Quiz Analytics', 'User Data', 'Progress'];
   const sheets = ss.getSheets();
   
   // Reorder sheets